@@ -1,6 +1,1551 @@
 // Background service worker for Document Link Extractor
+importScripts('url-normalizer.js');
+
+// Persistent download queue: lives in the worker (not the popup) and is mirrored to
+// chrome.storage.local so a run survives the popup closing and worker restarts
+class DownloadQueue {
+  constructor() {
+    this.job = null;
+    this.retryTimer = null;
+    this.progressTimer = null;
+    this.retryAlarmName = 'downloadQueue:retry';
+    this.retryableErrors = [
+      'NETWORK_FAILED', 'NETWORK_TIMEOUT', 'NETWORK_DISCONNECTED', 'NETWORK_SERVER_DOWN',
+      'SERVER_FAILED', 'SERVER_UNREACHABLE', 'CRASH'
+    ];
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const { downloadJob } = await chrome.storage.local.get('downloadJob');
+      if (!downloadJob) return;
+
+      this.job = downloadJob;
+      await this.reconcileActiveItems();
+      if (this.job.status === 'running') {
+        await this.pump();
+        this.startProgressTicker();
+      } else {
+        await this.persist();
+      }
+    } catch (error) {
+      console.error('Failed to restore download job:', error);
+    }
+  }
+
+  // The worker may have slept through state changes; ask Chrome where each download ended up
+  async reconcileActiveItems() {
+    for (const item of this.job.items) {
+      if (item.state === 'retrying') {
+        item.state = 'queued';
+        continue;
+      }
+      if (item.state !== 'downloading' && item.state !== 'paused') continue;
+      // The worker stopped before Chrome handed back an id: nothing to look up, start it again
+      if (item.downloadId == null) {
+        item.state = 'queued';
+        item.downloadId = null;
+        continue;
+      }
+
+      const [download] = await chrome.downloads.search({ id: item.downloadId });
+      if (!download) {
+        item.state = 'queued';
+        item.downloadId = null;
+      } else if (download.state === 'complete') {
+        item.state = 'complete';
+        item.bytesReceived = download.bytesReceived;
+        item.totalBytes = download.totalBytes;
+      } else if (download.state === 'interrupted') {
+        this.handleInterruption(item, download.error);
+      }
+    }
+  }
+
+  async start(items, options = {}) {
+    await this.ready;
+
+    if (this.job && (this.job.status === 'running' || this.job.status === 'paused')) {
+      throw new Error('A download job is already in progress');
+    }
+
+    this.job = {
+      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      concurrency: Math.max(1, Math.min(options.concurrency || 3, 10)),
+      maxRetries: Math.max(0, Math.min(options.maxRetries ?? 3, 10)),
+      items: items.map((entry, index) => ({
+        id: index,
+        url: entry.url,
+        filename: entry.filename,
+        state: 'queued',
+        downloadId: null,
+        attempts: 0,
+        error: null,
+        nextAttemptAt: 0,
+        bytesReceived: 0,
+        totalBytes: 0
+      }))
+    };
+
+    console.log(`Download job ${this.job.id} started with ${items.length} items`);
+    await this.pump();
+    return this.job;
+  }
+
+  async getJob() {
+    await this.ready;
+    // The ticker doesn't survive a suspended worker; make sure the popup sees current bytes
+    await this.refreshProgress();
+    return this.job;
+  }
+
+  ownsDownload(downloadId) {
+    return !!this.job && this.job.items.some(item => item.downloadId === downloadId);
+  }
+
+  async pause() {
+    await this.ready;
+    if (!this.job || this.job.status !== 'running') return this.job;
+
+    this.job.status = 'paused';
+    for (const item of this.job.items) {
+      if (item.state !== 'downloading') continue;
+      if (item.downloadId === null) {
+        // Still starting: startItem() pauses it once Chrome hands back the id
+        item.state = 'paused';
+        continue;
+      }
+      try {
+        await chrome.downloads.pause(item.downloadId);
+        item.state = 'paused';
+      } catch (error) {
+        console.warn('Failed to pause download:', item.downloadId, error);
+      }
+    }
+
+    await this.persist();
+    return this.job;
+  }
+
+  async resume() {
+    await this.ready;
+    if (!this.job || this.job.status !== 'paused') return this.job;
+
+    this.job.status = 'running';
+    for (const item of this.job.items) {
+      if (item.state !== 'paused') continue;
+      if (item.downloadId === null) {
+        // Paused before it got an id; startItem() sees it downloading again and leaves it be
+        item.state = 'downloading';
+        continue;
+      }
+      try {
+        await chrome.downloads.resume(item.downloadId);
+        item.state = 'downloading';
+      } catch (error) {
+        // Chrome can't always resume (e.g. the server dropped range support); start over
+        console.warn('Failed to resume download, re-queueing:', item.downloadId, error);
+        item.state = 'queued';
+        item.downloadId = null;
+      }
+    }
+
+    await this.pump();
+    return this.job;
+  }
+
+  async cancel() {
+    await this.ready;
+    if (!this.job || (this.job.status !== 'running' && this.job.status !== 'paused')) return this.job;
+
+    this.job.status = 'cancelled';
+    this.job.finishedAt = new Date().toISOString();
+
+    for (const item of this.job.items) {
+      if ((item.state === 'downloading' || item.state === 'paused') && item.downloadId !== null) {
+        try {
+          await chrome.downloads.cancel(item.downloadId);
+        } catch (error) {
+          console.warn('Failed to cancel download:', item.downloadId, error);
+        }
+      }
+      if (!['complete', 'failed'].includes(item.state)) {
+        item.state = 'cancelled';
+      }
+    }
+
+    this.stopTimers();
+    await this.persist();
+    return this.job;
+  }
+
+  async clear() {
+    await this.ready;
+    if (this.job && (this.job.status === 'running' || this.job.status === 'paused')) {
+      throw new Error('Cancel the running job before clearing it');
+    }
+
+    this.job = null;
+    this.stopTimers();
+    await chrome.storage.local.remove('downloadJob');
+    this.broadcast();
+  }
+
+  // Start as many due items as the concurrency limit allows
+  async pump() {
+    if (!this.job) return;
+
+    if (this.job.status === 'running') {
+      const now = Date.now();
+      let active = this.job.items.filter(item => item.state === 'downloading').length;
+
+      for (const item of this.job.items) {
+        if (active >= this.job.concurrency) break;
+        const due = item.state === 'queued' || (item.state === 'retrying' && item.nextAttemptAt <= now);
+        if (!due) continue;
+
+        active++;
+        this.startItem(item);
+      }
+
+      this.scheduleRetryWake();
+      this.finishIfDone();
+    }
+
+    await this.persist();
+  }
+
+  async startItem(item) {
+    // Mark synchronously so the next pump() doesn't start the same item twice
+    item.state = 'downloading';
+    item.attempts++;
+    item.error = null;
+
+    try {
+      item.downloadId = await chrome.downloads.download({
+        url: item.url,
+        filename: item.filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+      });
+    } catch (error) {
+      // Rejected up front (bad URL or filename): retrying won't help
+      console.error(`Failed to download ${item.url}:`, error);
+      item.state = 'failed';
+      item.error = error.message;
+      await this.pump();
+      return;
+    }
+
+    await this.catchUpWithControls(item);
+    this.startProgressTicker();
+    await this.persist();
+  }
+
+  // pause() and cancel() can't reach a download Chrome hasn't created yet; they only mark
+  // the item, and this applies the mark once the id is known
+  async catchUpWithControls(item) {
+    try {
+      if (item.state === 'paused') {
+        await chrome.downloads.pause(item.downloadId);
+      } else if (item.state === 'cancelled') {
+        await chrome.downloads.cancel(item.downloadId);
+      }
+    } catch (error) {
+      console.warn(`Failed to ${item.state === 'paused' ? 'pause' : 'cancel'} download:`, item.downloadId, error);
+    }
+  }
+
+  async handleDownloadChanged(delta) {
+    await this.ready;
+    if (!this.job) return;
+
+    const item = this.job.items.find(entry => entry.downloadId === delta.id);
+    if (!item) return;
+
+    // Change events wake the worker, so they restart progress polling after a suspend
+    this.startProgressTicker();
+
+    if (delta.filename) {
+      item.savedAs = delta.filename.current;
+    }
+
+    if (delta.paused) {
+      // Paused or resumed from Chrome's own downloads UI
+      if (delta.paused.current && item.state === 'downloading') item.state = 'paused';
+      if (!delta.paused.current && item.state === 'paused') item.state = 'downloading';
+    }
+
+    if (delta.state && delta.state.current === 'complete') {
+      item.state = 'complete';
+      item.bytesReceived = item.totalBytes || item.bytesReceived;
+    } else if (delta.state && delta.state.current === 'interrupted') {
+      // Our own cancel() already marked the item
+      if (item.state !== 'cancelled') {
+        this.handleInterruption(item, delta.error ? delta.error.current : '');
+      }
+    }
+
+    await this.pump();
+  }
+
+  handleInterruption(item, error) {
+    item.downloadId = null;
+
+    if (error === 'USER_CANCELED') {
+      item.state = 'cancelled';
+    } else if (this.retryableErrors.includes(error) && item.attempts <= this.job.maxRetries) {
+      item.state = 'retrying';
+      item.error = error;
+      item.nextAttemptAt = Date.now() + this.backoffDelay(item.attempts);
+      console.warn(`Retrying ${item.url} after ${error} (attempt ${item.attempts})`);
+    } else {
+      item.state = 'failed';
+      item.error = error || 'Unknown error';
+    }
+  }
+
+  backoffDelay(attempts) {
+    return Math.min(1000 * Math.pow(2, attempts - 1), 30000);
+  }
+
+  // The timer covers the usual case; the alarm wakes a worker that was suspended while
+  // waiting (Chrome fires alarms 30 seconds out at the earliest, so it's only a backstop)
+  scheduleRetryWake() {
+    clearTimeout(this.retryTimer);
+    const waiting = this.job.items.filter(item => item.state === 'retrying');
+    if (waiting.length === 0) {
+      chrome.alarms.clear(this.retryAlarmName);
+      return;
+    }
+
+    const nextAt = Math.min(...waiting.map(item => item.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.pump(), Math.max(0, nextAt - Date.now()));
+    chrome.alarms.create(this.retryAlarmName, { when: nextAt });
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name !== this.retryAlarmName) return;
+    // A restarted worker has already re-queued its retries in restore()
+    this.ready.then(() => this.pump());
+  }
+
+  finishIfDone() {
+    const pending = this.job.items.some(item =>
+      ['queued', 'downloading', 'retrying', 'paused'].includes(item.state));
+    if (pending) return;
+
+    this.job.status = 'complete';
+    this.job.finishedAt = new Date().toISOString();
+    this.stopTimers();
+
+    const failed = this.job.items.filter(item => item.state === 'failed').length;
+    console.log(`Download job ${this.job.id} finished: ${this.job.items.length - failed} ok, ${failed} failed`);
+  }
+
+  // chrome.downloads.onChanged doesn't report bytes, so poll active downloads for progress
+  // while the worker is up; started again by onChanged and restore() after a suspend
+  startProgressTicker() {
+    if (this.progressTimer) return;
+
+    this.progressTimer = setInterval(async () => {
+      if (!this.job || !this.job.items.some(item => item.state === 'downloading')) {
+        clearInterval(this.progressTimer);
+        this.progressTimer = null;
+        return;
+      }
+
+      await this.refreshProgress();
+      this.broadcast();
+    }, 1000);
+  }
+
+  async refreshProgress() {
+    if (!this.job || !this.job.items.some(item => item.state === 'downloading')) return;
+
+    try {
+      const active = await chrome.downloads.search({ state: 'in_progress' });
+      active.forEach(download => {
+        const item = this.job.items.find(entry => entry.downloadId === download.id);
+        if (item) {
+          item.bytesReceived = download.bytesReceived;
+          item.totalBytes = download.totalBytes;
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to poll download progress:', error);
+    }
+  }
+
+  stopTimers() {
+    clearTimeout(this.retryTimer);
+    clearInterval(this.progressTimer);
+    chrome.alarms.clear(this.retryAlarmName);
+    this.retryTimer = null;
+    this.progressTimer = null;
+  }
+
+  async persist() {
+    try {
+      if (this.job) await chrome.storage.local.set({ downloadJob: this.job });
+    } catch (error) {
+      console.error('Failed to persist download job:', error);
+    }
+    this.broadcast();
+  }
+
+  broadcast() {
+    // No listener when the popup is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'downloadJobUpdated', job: this.job }).catch(() => {});
+  }
+}
+
+// Offscreen document: service workers have no DOMParser, so fetched HTML is parsed there
+// - shared by the site crawl, page monitoring and ZIP bundles; closed once none holds it
+class OffscreenDocument {
+  constructor() {
+    this.holders = 0;
+    this.creating = null;
+  }
+
+  hold() {
+    this.holders++;
+  }
+
+  async release() {
+    this.holders = Math.max(0, this.holders - 1);
+    if (this.holders === 0) await this.close();
+  }
+
+  // Same result the content script would produce on the live page, plus pageLinks
+  async parsePage(html, url, settings) {
+    await this.ensure();
+
+    const result = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'parsePage',
+      html: html,
+      url: url,
+      settings: settings
+    });
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'Could not parse page');
+    }
+    return result;
+  }
+
+  // Resolves once the archive is written: { url (blob:), files, failed }
+  async buildZip(files, extras, manifest) {
+    await this.ensure();
+
+    const result = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'buildZip',
+      files: files,
+      extras: extras,
+      manifest: manifest
+    });
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'Could not build ZIP');
+    }
+    return result;
+  }
+
+  async releaseZip() {
+    try {
+      await chrome.runtime.sendMessage({ target: 'offscreen', action: 'releaseZip' });
+    } catch (error) {
+      // The document is already gone, and its blob: URL with it
+    }
+  }
+
+  async ensure() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+
+    // Only one offscreen document may exist; share a creation that is already under way
+    if (!this.creating) {
+      this.creating = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['DOM_PARSER', 'BLOBS'],
+        justification: 'Parse fetched pages to find document links and build ZIP bundles'
+      }).finally(() => {
+        this.creating = null;
+      });
+    }
+    await this.creating;
+  }
+
+  async close() {
+    try {
+      const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+      if (contexts.length > 0) await chrome.offscreen.closeDocument();
+    } catch (error) {
+      console.warn('Failed to close offscreen document:', error);
+    }
+  }
+}
+
+// ZIP bundles: the offscreen document fetches each file and streams it into the archive,
+// then the finished archive is saved from its blob: URL.
+// The job lives in memory only; progress comes from the offscreen document ('zipProgress').
+class ZipBundler {
+  constructor(offscreen) {
+    this.offscreen = offscreen;
+    this.job = null;
+    this.downloadId = null;  // the saved archive; the blob: URL has to outlive it
+  }
+
+  getJob() {
+    return this.job;
+  }
+
+  // request: { files, extras, manifest, filename, saveAs } as built by the popup
+  async start(request) {
+    if (this.job && this.job.status === 'running') {
+      throw new Error('A ZIP is already being built');
+    }
+    if (this.downloadId !== null) await this.releaseArchive();
+
+    this.job = {
+      status: 'running',
+      filename: request.filename,
+      done: 0,
+      total: (request.files || []).length,
+      current: '',
+      bytes: 0,
+      files: 0,
+      failed: 0,
+      error: null
+    };
+    this.broadcast();
+    this.run(request);
+    return this.job;
+  }
+
+  async run(request) {
+    this.offscreen.hold();
+    try {
+      const result = await this.offscreen.buildZip(request.files || [], request.extras || [], request.manifest || {});
+      this.downloadId = await chrome.downloads.download({
+        url: result.url,
+        filename: request.filename,
+        saveAs: !!request.saveAs
+      });
+      Object.assign(this.job, { status: 'complete', done: this.job.total, current: '', files: result.files, failed: result.failed });
+    } catch (error) {
+      console.error('Error building ZIP:', error);
+      Object.assign(this.job, { status: 'failed', error: error.message });
+      await this.offscreen.release();
+    }
+    this.broadcast();
+  }
+
+  handleProgress(progress) {
+    if (!this.job || this.job.status !== 'running') return;
+    Object.assign(this.job, {
+      done: progress.done,
+      current: progress.current || '',
+      bytes: progress.bytes || 0
+    });
+    this.broadcast();
+  }
+
+  // The archive is read from the offscreen document until Chrome has saved it
+  handleDownloadChanged(downloadDelta) {
+    if (downloadDelta.id !== this.downloadId || !downloadDelta.state) return;
+    if (downloadDelta.state.current === 'complete' || downloadDelta.state.current === 'interrupted') {
+      this.releaseArchive();
+    }
+  }
+
+  async releaseArchive() {
+    this.downloadId = null;
+    await this.offscreen.releaseZip();
+    await this.offscreen.release();
+  }
+
+  broadcast() {
+    chrome.runtime.sendMessage({ action: 'zipJobUpdated', job: this.job }).catch(() => {});
+  }
+}
+
+// Crawled pages, one IndexedDB record each ({ jobId, index, page }); link lists of a
+// 2000-page crawl don't fit the storage.local quota, and rewriting them on every save is slow
+class CrawlPageStore {
+  constructor(dbName = 'doc-extractor-crawl') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('pages', { keyPath: ['jobId', 'index'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  async transact(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('pages', mode);
+      const request = work(tx.objectStore('pages'));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Crawl page transaction aborted'));
+    });
+  }
+
+  jobRange(jobId) {
+    return IDBKeyRange.bound([jobId, 0], [jobId, Infinity]);
+  }
+
+  putPage(jobId, index, page) {
+    return this.transact('readwrite', store => store.put({ jobId: jobId, index: index, page: page }));
+  }
+
+  // Pages 0..count-1 in crawl order; anything past count was written after the last cursor save
+  async getPages(jobId, count) {
+    const records = await this.transact('readonly', store => store.getAll(this.jobRange(jobId)));
+    return records
+      .filter(record => record.index < count)
+      .sort((a, b) => a.index - b.index)
+      .map(record => record.page);
+  }
+
+  deleteJob(jobId) {
+    return this.transact('readwrite', store => store.delete(this.jobRange(jobId)));
+  }
+}
+
+// Site crawler: breadth-first from a start page, following same-site HTML links.
+// Pages are fetched here and parsed in an offscreen document (a service worker has no
+// DOMParser), using the same ContentExtractor rules as the content script.
+// The job in chrome.storage.local is a small cursor (queue, log, counters) so a restarted
+// worker carries on; the pages it found are in CrawlPageStore.
+class SiteCrawler {
+  constructor(offscreen) {
+    this.offscreen = offscreen;  // OffscreenDocument: parses fetched pages
+    this.pageStore = new CrawlPageStore();
+    this.job = null;
+    this.seen = new Set();      // every page URL queued or skipped, so each is handled once
+    this.running = false;
+    this.scopePatterns = null;  // compiled include/exclude regexes for the running crawl
+    this.persistTimer = null;
+    this.fetchTimeoutMs = 15000;
+    // Path extensions that can still be HTML pages; anything else (.pdf, .jpg) isn't followed
+    this.pageExtensions = ['html', 'htm', 'xhtml', 'shtml', 'php', 'asp', 'aspx', 'jsp', 'cfm'];
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const { crawlJob } = await chrome.storage.local.get('crawlJob');
+      if (!crawlJob) return;
+
+      this.job = crawlJob;
+      this.seen = new Set(crawlJob.seen || []);
+
+      // Saved before pages moved out of the job
+      if (Array.isArray(this.job.pages)) {
+        for (const [index, page] of this.job.pages.entries()) {
+          await this.pageStore.putPage(this.job.id, index, page);
+        }
+        this.job.pageCount = this.job.pages.length;
+        this.job.documents = this.job.pages.reduce((sum, page) => sum + page.links.length, 0);
+        delete this.job.pages;
+        await this.persist();
+      }
+
+      if (this.job.status === 'running') {
+        // The worker stopped mid-fetch; that page goes first again
+        if (this.job.current) {
+          this.job.queue.unshift(this.job.current);
+          this.job.fetched = Math.max(0, this.job.fetched - 1);
+          this.job.current = null;
+        }
+        console.log(`Resuming crawl ${this.job.id} (${this.job.queue.length} pages queued)`);
+        this.run();
+      }
+    } catch (error) {
+      console.error('Failed to restore crawl job:', error);
+    }
+  }
+
+  async start(startUrl, settings, options = {}) {
+    await this.ready;
+
+    if (this.job && this.job.status === 'running') {
+      throw new Error('A crawl is already running');
+    }
+
+    const start = new URL(startUrl);
+    if (start.protocol !== 'http:' && start.protocol !== 'https:') {
+      throw new Error('Only http(s) pages can be crawled');
+    }
+    start.hash = '';
+
+    const scope = {
+      origin: start.origin,
+      pathPrefix: (options.pathPrefix || '').trim(),
+      include: (options.include || '').trim(),
+      exclude: (options.exclude || '').trim()
+    };
+    // Fail now on a bad pattern rather than on the first link
+    this.compileScope(scope);
+
+    if (this.job) await this.discardPages(this.job.id);
+
+    this.job = {
+      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      startUrl: start.href,
+      maxDepth: Math.max(0, Math.min(parseInt(options.maxDepth, 10) || 0, 10)),
+      maxPages: Math.max(1, Math.min(parseInt(options.maxPages, 10) || 100, 2000)),
+      delayMs: Math.max(0, parseInt(options.delayMs, 10) || 0),
+      scope: scope,
+      settings: settings,
+      current: null, // queue entry being fetched
+      fetched: 0,
+      queue: [{ url: start.href, depth: 0 }],
+      pageCount: 0,  // pages in CrawlPageStore: { success, url, title, links, zoneStats }, like extractFromTabs
+      documents: 0,
+      log: []        // { url, depth, status: crawled|skipped|failed, reason }
+    };
+    this.seen = new Set([start.href]);
+
+    await this.persist();
+    this.run();
+    return this.getSummary();
+  }
+
+  async cancel() {
+    await this.ready;
+    if (!this.job || this.job.status !== 'running') return this.getSummary();
+
+    this.job.status = 'cancelled';
+    this.job.finishedAt = new Date().toISOString();
+    this.job.queue.forEach(entry => this.addLog(entry, 'skipped', 'crawl cancelled'));
+    this.job.queue = [];
+    await this.persist();
+    return this.getSummary();
+  }
+
+  async clear() {
+    await this.ready;
+    if (this.job && this.job.status === 'running') {
+      throw new Error('Cancel the running crawl before clearing it');
+    }
+
+    if (this.job) await this.discardPages(this.job.id);
+    this.job = null;
+    this.seen = new Set();
+    await chrome.storage.local.remove('crawlJob');
+    this.broadcast();
+  }
+
+  async discardPages(jobId) {
+    try {
+      await this.pageStore.deleteJob(jobId);
+    } catch (error) {
+      console.warn('Failed to delete crawled pages:', error);
+    }
+  }
+
+  // Progress only; the popup asks for the (large) results once the crawl is over
+  getSummary() {
+    if (!this.job) return null;
+
+    const counts = { crawled: 0, skipped: 0, failed: 0 };
+    this.job.log.forEach(entry => {
+      counts[entry.status]++;
+    });
+
+    return {
+      id: this.job.id,
+      status: this.job.status,
+      startUrl: this.job.startUrl,
+      createdAt: this.job.createdAt,
+      finishedAt: this.job.finishedAt,
+      maxPages: this.job.maxPages,
+      currentUrl: this.job.current ? this.job.current.url : null,
+      queued: this.job.queue.length,
+      crawled: counts.crawled,
+      skipped: counts.skipped,
+      failed: counts.failed,
+      documents: this.job.documents
+    };
+  }
+
+  async getResults() {
+    await this.ready;
+    if (!this.job) return null;
+    const pages = await this.pageStore.getPages(this.job.id, this.job.pageCount);
+    return { ...this.getSummary(), pages: pages, log: this.job.log };
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    this.offscreen.hold();
+
+    try {
+      this.scopePatterns = this.compileScope(this.job.scope);
+
+      while (this.job && this.job.status === 'running' && this.job.queue.length > 0) {
+        if (this.job.fetched >= this.job.maxPages) {
+          this.job.queue.forEach(entry => this.addLog(entry, 'skipped', 'page limit reached'));
+          this.job.queue = [];
+          break;
+        }
+
+        const entry = this.job.queue.shift();
+        this.job.current = entry;
+        this.broadcast();
+
+        await this.crawlPage(entry);
+        if (this.job) this.job.current = null;
+        this.schedulePersist();
+
+        // Politeness delay between requests to the same site
+        if (this.job && this.job.status === 'running' && this.job.queue.length > 0 && this.job.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.job.delayMs));
+        }
+      }
+
+      if (this.job && this.job.status === 'running') {
+        this.job.status = 'complete';
+        this.job.finishedAt = new Date().toISOString();
+        const summary = this.getSummary();
+        console.log(`Crawl ${this.job.id} finished: ${summary.crawled} pages, ${summary.documents} documents`);
+      }
+    } catch (error) {
+      console.error('Crawl stopped unexpectedly:', error);
+      if (this.job) {
+        this.job.status = 'failed';
+        this.job.finishedAt = new Date().toISOString();
+        this.job.error = error.message;
+      }
+    } finally {
+      this.running = false;
+      if (this.job) this.job.current = null;
+      await this.persist();
+      await this.offscreen.release();
+    }
+  }
+
+  async crawlPage(entry) {
+    this.job.fetched++;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.fetchTimeoutMs);
+
+    try {
+      const response = await fetch(entry.url, { credentials: 'include', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const finalUrl = response.url ? response.url.split('#')[0] : entry.url;
+      if (finalUrl !== entry.url) {
+        const reason = this.checkScope(finalUrl);
+        if (reason || this.seen.has(finalUrl)) {
+          response.body?.cancel();
+          this.addLog(entry, 'skipped', `redirects to ${finalUrl}${reason ? ` (${reason})` : ' (already crawled)'}`);
+          return;
+        }
+        this.seen.add(finalUrl);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        response.body?.cancel();
+        this.addLog(entry, 'skipped', `not an HTML page (${contentType || 'unknown type'})`);
+        return;
+      }
+
+      const html = await response.text();
+      const result = await this.parsePage(html, finalUrl);
+
+      const links = result.links || [];
+      await this.pageStore.putPage(this.job.id, this.job.pageCount, {
+        success: true,
+        url: finalUrl,
+        title: result.pageTitle || '',
+        links: links,
+        zoneStats: result.zoneStats || []
+      });
+      this.job.pageCount++;
+      this.job.documents += links.length;
+      this.addLog({ ...entry, url: finalUrl }, 'crawled', `${(result.links || []).length} documents`);
+
+      if (entry.depth < this.job.maxDepth && this.job.status === 'running') {
+        this.enqueueLinks(result.pageLinks || [], entry.depth + 1);
+      }
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `timed out after ${this.fetchTimeoutMs / 1000}s` : error.message;
+      console.warn(`Crawl failed for ${entry.url}:`, message);
+      this.addLog(entry, 'failed', message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  enqueueLinks(urls, depth) {
+    urls.forEach(url => {
+      // Documents and assets are the inventory, not pages to visit; no need to log or remember them
+      if (this.seen.has(url) || !this.looksLikePage(url)) return;
+      this.seen.add(url);
+
+      const reason = this.checkScope(url);
+      if (reason) {
+        this.addLog({ url: url, depth: depth }, 'skipped', reason);
+        return;
+      }
+      this.job.queue.push({ url: url, depth: depth });
+    });
+  }
+
+  looksLikePage(url) {
+    try {
+      const match = new URL(url).pathname.match(/\.([a-z0-9]{1,6})$/i);
+      return !match || this.pageExtensions.includes(match[1].toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  compileScope(scope) {
+    const compile = (pattern, label) => {
+      if (!pattern) return null;
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid ${label} pattern: ${error.message}`);
+      }
+    };
+    return {
+      include: compile(scope.include, 'include'),
+      exclude: compile(scope.exclude, 'exclude')
+    };
+  }
+
+  // Reason a URL is out of scope, or null when it should be crawled
+  checkScope(url) {
+    const { origin, pathPrefix } = this.job.scope;
+    const { include, exclude } = this.scopePatterns;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'invalid URL';
+    }
+
+    if (parsed.origin !== origin) return 'different site';
+    if (pathPrefix && !parsed.pathname.startsWith(pathPrefix)) return `outside ${pathPrefix}`;
+    if (include && !include.test(url)) return 'not matched by include pattern';
+    if (exclude && exclude.test(url)) return 'matched exclude pattern';
+    return null;
+  }
+
+  addLog(entry, status, reason) {
+    this.job.log.push({ url: entry.url, depth: entry.depth, status: status, reason: reason });
+  }
+
+  async parsePage(html, url) {
+    return this.offscreen.parsePage(html, url, this.job.settings);
+  }
+
+  /* ----------------------------
+     storage + popup updates
+     ---------------------------- */
+  // The cursor grows with the log; write it at most every few seconds while crawling
+  schedulePersist() {
+    this.broadcast();
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 5000);
+  }
+
+  async persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      if (this.job) {
+        this.job.seen = Array.from(this.seen);
+        await chrome.storage.local.set({ crawlJob: this.job });
+      }
+    } catch (error) {
+      console.error('Failed to persist crawl job:', error);
+    }
+    this.broadcast();
+  }
+
+  broadcast() {
+    // No listener when the popup is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'crawlJobUpdated', job: this.getSummary() }).catch(() => {});
+  }
+}
+
+// Network capture: records document responses a tab loads without a plain href
+// (onclick handlers, window.open, form posts, script-started downloads).
+// Opt-in per tab; sessions live in chrome.storage.session so a restarted worker keeps them
+// until the browser closes.
+class NetworkCapture {
+  constructor(service) {
+    this.service = service;          // BackgroundService: MIME + Content-Disposition helpers
+    this.sessions = {};              // tabId -> { tabId, startedAt, extensions, childTabIds, items: { url: item } }
+    this.listeners = new Map();      // tabId -> webRequest listener for that tab
+    this.requestTypes = ['main_frame', 'sub_frame', 'xmlhttprequest', 'object', 'media', 'other'];
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const { networkCapture } = await chrome.storage.session.get('networkCapture');
+      this.sessions = networkCapture || {};
+      Object.values(this.sessions).forEach(session => {
+        [session.tabId, ...session.childTabIds].forEach(tabId => this.listen(tabId));
+      });
+    } catch (error) {
+      console.error('Failed to restore network capture:', error);
+    }
+  }
+
+  async start(tabId, extensions = []) {
+    await this.ready;
+    if (!this.sessions[tabId]) {
+      this.sessions[tabId] = {
+        tabId: tabId,
+        startedAt: new Date().toISOString(),
+        extensions: extensions.map(ext => ext.toLowerCase()),
+        childTabIds: [],
+        items: {}
+      };
+      this.listen(tabId);
+      await this.persist(tabId);
+    }
+    return this.getState(tabId);
+  }
+
+  async stop(tabId) {
+    await this.ready;
+    const session = this.sessions[tabId];
+    if (!session) return this.getState(tabId);
+
+    [session.tabId, ...session.childTabIds].forEach(id => this.unlisten(id));
+    delete this.sessions[tabId];
+    await this.persist(tabId);
+    return this.getState(tabId);
+  }
+
+  getState(tabId) {
+    const session = this.sessions[tabId];
+    return {
+      capturing: !!session,
+      count: session ? Object.keys(session.items).length : 0,
+      startedAt: session ? session.startedAt : null
+    };
+  }
+
+  async getItems(tabIds) {
+    await this.ready;
+    const result = {};
+    tabIds.forEach(tabId => {
+      const session = this.sessions[tabId];
+      result[tabId] = session ? Object.values(session.items) : [];
+    });
+    return result;
+  }
+
+  // Session a tab's requests belong to: its own, or its opener's for a popup it opened
+  findSession(tabId) {
+    return this.sessions[tabId] ||
+      Object.values(this.sessions).find(session => session.childTabIds.includes(tabId)) ||
+      null;
+  }
+
+  // Listeners exist only for capturing tabs (Chrome filters by tab id), so capture costs
+  // nothing on other tabs and doesn't wake the worker for ordinary browsing. They are
+  // added at runtime, so restore() adds them again when a restarted worker has sessions
+  listen(tabId) {
+    if (this.listeners.has(tabId)) return;
+
+    const listener = (details) => this.handleResponse(details);
+    chrome.webRequest.onHeadersReceived.addListener(
+      listener,
+      { urls: ['<all_urls>'], tabId: tabId, types: this.requestTypes },
+      ['responseHeaders']
+    );
+    this.listeners.set(tabId, listener);
+  }
+
+  unlisten(tabId) {
+    const listener = this.listeners.get(tabId);
+    if (!listener) return;
+    chrome.webRequest.onHeadersReceived.removeListener(listener);
+    this.listeners.delete(tabId);
+  }
+
+  async handleResponse(details) {
+    await this.ready;
+    if (details.tabId < 0 || details.statusCode >= 400) return;
+    const session = this.findSession(details.tabId);
+    if (!session) return;
+    const ownerTabId = session.tabId;
+
+    const header = (name) => {
+      const found = (details.responseHeaders || []).find(entry => entry.name.toLowerCase() === name);
+      return found ? found.value || '' : '';
+    };
+
+    const contentType = header('content-type').split(';')[0].trim().toLowerCase();
+    const disposition = header('content-disposition');
+    const filename = this.service.parseContentDispositionFilename(disposition);
+    const extension = this.detectExtension(details, contentType, filename, session.extensions);
+    if (!extension || !session.extensions.includes(extension)) return;
+
+    const length = parseInt(header('content-length'), 10);
+    this.addItem(ownerTabId, {
+      url: details.url,
+      method: details.method,
+      type: details.type,
+      contentType: contentType,
+      filename: filename,
+      extension: extension,
+      size: !isNaN(length) && length > 0 ? length : null,
+      capturedAt: new Date().toISOString()
+    });
+  }
+
+  // Extension of a response that looks like a document, or '' when it doesn't
+  // A path extension only counts when it's a wanted one: handlers like /download.ashx?id=1
+  // serve documents whose real type is in the Content-Type
+  detectExtension(details, contentType, filename, wanted) {
+    const fromFilename = filename.match(/\.([0-9a-zA-Z]+)$/);
+    if (fromFilename) return fromFilename[1].toLowerCase();
+
+    let fromPath = null;
+    try {
+      fromPath = new URL(details.url).pathname.match(/\.([0-9a-zA-Z]+)$/);
+    } catch (error) {
+      return '';
+    }
+    if (fromPath && wanted.includes(fromPath[1].toLowerCase())) return fromPath[1].toLowerCase();
+
+    // APIs answer XHRs with text/plain or text/csv all the time; only trust the
+    // MIME type for navigations, embeds and downloads
+    if (details.type === 'xmlhttprequest') return '';
+    return this.service.extensionFromContentType(contentType);
+  }
+
+  async addItem(ownerTabId, item) {
+    const session = this.sessions[ownerTabId];
+    if (!session || session.items[item.url]) return;
+
+    session.items[item.url] = item;
+    console.log(`Captured ${item.extension} from network in tab ${ownerTabId}:`, item.url);
+    await this.persist(ownerTabId);
+  }
+
+  // window.open from a capturing tab: the new tab's requests belong to the opener's session
+  async handleTabCreated(tab) {
+    await this.ready;
+    const session = this.sessions[tab.openerTabId];
+    if (!session || session.childTabIds.includes(tab.id)) return;
+
+    session.childTabIds.push(tab.id);
+    this.listen(tab.id);
+    await this.persist(session.tabId);
+  }
+
+  async handleTabRemoved(tabId) {
+    await this.ready;
+    if (this.sessions[tabId]) {
+      await this.stop(tabId);
+      return;
+    }
+    // Keep what a closed child tab captured; only stop following it
+    const session = this.findSession(tabId);
+    if (!session) return;
+    this.unlisten(tabId);
+    session.childTabIds = session.childTabIds.filter(id => id !== tabId);
+    await this.persist(session.tabId);
+  }
+
+  // Downloads carry no tab id; match them to a capturing tab by the page that referred them
+  async handleDownloadCreated(download) {
+    await this.ready;
+    if (download.byExtensionId === chrome.runtime.id) return; // our own download queue
+    if (Object.keys(this.sessions).length === 0 || !download.referrer) return;
+
+    let referrerOrigin;
+    try {
+      referrerOrigin = new URL(download.referrer).origin;
+    } catch (error) {
+      return;
+    }
+
+    for (const session of Object.values(this.sessions)) {
+      let tab;
+      try {
+        tab = await chrome.tabs.get(session.tabId);
+      } catch (error) {
+        continue;
+      }
+      if (!tab.url || new URL(tab.url).origin !== referrerOrigin) continue;
+
+      const url = download.finalUrl || download.url;
+      const filename = this.service.stripFilenamePath(download.filename || '');
+      const extension = this.detectExtension({ url: url, type: 'other' }, (download.mime || '').toLowerCase(), filename, session.extensions);
+      if (!extension || !session.extensions.includes(extension)) continue;
+
+      await this.addItem(session.tabId, {
+        url: url,
+        method: 'GET',
+        type: 'download',
+        contentType: download.mime || '',
+        filename: filename,
+        extension: extension,
+        size: download.totalBytes > 0 ? download.totalBytes : null,
+        capturedAt: new Date().toISOString()
+      });
+      return;
+    }
+  }
+
+  async persist(tabId) {
+    try {
+      await chrome.storage.session.set({ networkCapture: this.sessions });
+    } catch (error) {
+      console.error('Failed to persist network capture:', error);
+    }
+    // No listener when the popup is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'networkCaptureUpdated', tabId: tabId, state: this.getState(tabId) }).catch(() => {});
+  }
+}
+
+// Page monitoring: re-fetches monitored pages on a chrome.alarms schedule, runs the same
+// extraction rules on the HTML and notifies when documents appear that no earlier check saw.
+// Monitors live in chrome.storage.local; alarms wake the worker when a check is due.
+class PageMonitor {
+  constructor(service) {
+    this.service = service;          // BackgroundService: offscreen parser, probing, download queue
+    this.monitors = {};              // id -> monitor (see add())
+    this.checking = new Set();       // ids being checked, so an alarm and "Check now" don't overlap
+    this.alarmPrefix = 'monitor:';
+    this.fetchTimeoutMs = 15000;
+    this.maxNewItems = 50;           // newest first, listed in the popup
+    this.urlNormalizer = new UrlNormalizer();
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const { pageMonitors } = await chrome.storage.local.get('pageMonitors');
+      this.monitors = pageMonitors || {};
+
+      // Alarms usually outlive the worker, but not every browser update; put back any that are gone
+      for (const monitor of Object.values(this.monitors)) {
+        const alarm = await chrome.alarms.get(this.alarmPrefix + monitor.id);
+        if (!alarm) this.schedule(monitor);
+      }
+    } catch (error) {
+      console.error('Failed to restore page monitors:', error);
+    }
+  }
+
+  // Monitoring a page that is already monitored updates its interval, options and settings
+  async add(url, settings, options = {}) {
+    await this.ready;
+
+    const page = new URL(url);
+    if (page.protocol !== 'http:' && page.protocol !== 'https:') {
+      throw new Error('Only http(s) pages can be monitored');
+    }
+    page.hash = '';
+
+    const key = this.urlNormalizer.normalize(page.href);
+    const existing = Object.values(this.monitors).find(monitor => this.urlNormalizer.normalize(monitor.url) === key);
+    const monitor = existing || {
+      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      url: page.href,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastNewAt: null,
+      status: 'pending',
+      error: null,
+      documentCount: 0,
+      knownUrls: null, // normalized URLs of every document seen so far; null until the first check
+      newItems: []     // { url, title, filename, foundAt }
+    };
+
+    monitor.title = options.title || monitor.title || '';
+    monitor.intervalMinutes = Math.max(15, Math.min(parseInt(options.intervalMinutes, 10) || 1440, 10080));
+    monitor.autoDownload = !!options.autoDownload;
+    // New URL matching rules give every document a new key; start over rather than report them all as new
+    if (existing && this.getUrlRulesSignature(existing.settings) !== this.getUrlRulesSignature(settings)) {
+      monitor.knownUrls = null;
+    }
+    monitor.settings = settings;
+
+    this.monitors[monitor.id] = monitor;
+    this.schedule(monitor);
+    await this.persist();
+
+    // The first check records what is already there, so only later additions count as new
+    if (!Array.isArray(monitor.knownUrls)) this.check(monitor.id).catch(() => {});
+    return this.list();
+  }
+
+  // pageMonitors was replaced from outside (settings import): read it again and make the
+  // alarms match, dropping those of monitors that are gone
+  async reload() {
+    await this.ready;
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms) {
+      if (alarm.name.startsWith(this.alarmPrefix)) await chrome.alarms.clear(alarm.name);
+    }
+    this.ready = this.restore();
+    return this.list();
+  }
+
+  async remove(id) {
+    await this.ready;
+    await chrome.alarms.clear(this.alarmPrefix + id);
+    delete this.monitors[id];
+    await this.persist();
+    return this.list();
+  }
+
+  async list() {
+    await this.ready;
+    return Object.values(this.monitors).map(({ knownUrls, settings, ...summary }) => ({
+      ...summary,
+      checking: this.checking.has(summary.id)
+    }));
+  }
+
+  getUrlRulesSignature(settings = {}) {
+    return JSON.stringify(Object.keys(settings).filter(key => key.startsWith('url')).sort().map(key => [key, settings[key]]));
+  }
+
+  schedule(monitor) {
+    chrome.alarms.create(this.alarmPrefix + monitor.id, {
+      delayInMinutes: monitor.intervalMinutes,
+      periodInMinutes: monitor.intervalMinutes
+    });
+  }
+
+  handleAlarm(alarm) {
+    if (!alarm.name.startsWith(this.alarmPrefix)) return;
+    this.check(alarm.name.slice(this.alarmPrefix.length))
+      .catch(error => console.warn(`Scheduled check skipped (${alarm.name}):`, error.message));
+  }
+
+  async check(id) {
+    await this.ready;
+    const monitor = this.monitors[id];
+    if (!monitor) throw new Error('That page is no longer monitored');
+    if (this.checking.has(id)) return this.list();
+
+    this.checking.add(id);
+    this.broadcast();
+    this.service.offscreen.hold();
+
+    try {
+      const page = await this.fetchDocuments(monitor);
+      // Documents are matched with the profile's URL matching rules, pages with the basic ones
+      const normalizer = UrlNormalizer.fromSettings(monitor.settings);
+      const found = new Map(); // normalized URL -> first link with it
+      page.links.forEach(link => {
+        const key = normalizer.normalize(link.url, page.url);
+        if (key && !found.has(key)) found.set(key, link);
+      });
+
+      const firstCheck = !Array.isArray(monitor.knownUrls);
+      const known = new Set(monitor.knownUrls || []);
+      // A document that disappears and comes back isn't new, so known URLs are never dropped
+      const added = firstCheck ? [] : [...found].filter(([key]) => !known.has(key)).map(([, link]) => link);
+      found.forEach((link, key) => known.add(key));
+
+      const checkedAt = new Date().toISOString();
+      monitor.knownUrls = Array.from(known);
+      monitor.documentCount = found.size;
+      monitor.title = monitor.title || page.title;
+      monitor.lastCheckedAt = checkedAt;
+      monitor.status = 'ok';
+      monitor.error = null;
+      console.log(`Checked ${monitor.url}: ${found.size} documents, ${firstCheck ? 'first check' : `${added.length} new`}`);
+
+      if (added.length > 0) {
+        monitor.lastNewAt = checkedAt;
+        monitor.newItems = [
+          ...added.map(link => ({ url: link.url, title: link.title || '', filename: link.filenameWithExt || '', foundAt: checkedAt })),
+          ...monitor.newItems
+        ].slice(0, this.maxNewItems);
+
+        this.notifyNewDocuments(monitor, added);
+        if (monitor.autoDownload) await this.downloadNewDocuments(monitor, added);
+      }
+    } catch (error) {
+      console.warn(`Monitor check failed for ${monitor.url}:`, error.message);
+      monitor.lastCheckedAt = new Date().toISOString();
+      monitor.status = 'failed';
+      monitor.error = error.message;
+    } finally {
+      this.checking.delete(id);
+      await this.service.offscreen.release();
+      await this.persist();
+    }
+
+    return this.list();
+  }
+
+  async fetchDocuments(monitor) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.fetchTimeoutMs);
+
+    try {
+      const response = await fetch(monitor.url, { credentials: 'include', cache: 'no-store', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        response.body?.cancel();
+        throw new Error(`not an HTML page (${contentType || 'unknown type'})`);
+      }
+
+      const url = response.url ? response.url.split('#')[0] : monitor.url;
+      const result = await this.service.offscreen.parsePage(await response.text(), url, monitor.settings);
+      return {
+        url: url,
+        title: result.pageTitle || '',
+        links: await this.resolveCandidates(result.links || [], monitor.settings)
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error(`timed out after ${this.fetchTimeoutMs / 1000}s`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Extensionless candidates only count once the server says they are documents, as in the popup
+  async resolveCandidates(links, settings) {
+    const candidates = settings.resolveUnknown ? links.filter(link => link.needsResolution) : [];
+    const results = candidates.length > 0
+      ? await this.service.probeUrls(candidates.map(link => ({ key: link.url, url: link.url })))
+      : {};
+    const extensions = settings.fileExtensions || [];
+
+    return links.filter(link => {
+      if (!link.needsResolution) return true;
+      const result = results[link.url];
+      if (!result) return false;
+      const fromFilename = (result.filename || '').match(/\.([a-z0-9]{1,6})$/i);
+      const extension = (fromFilename ? fromFilename[1] : result.extension || '').toLowerCase();
+      return extensions.includes(extension);
+    });
+  }
+
+  notifyNewDocuments(monitor, added) {
+    let host = monitor.url;
+    try {
+      host = new URL(monitor.url).hostname;
+    } catch (error) {}
+
+    const names = added.slice(0, 3).map(link => link.title || link.filenameWithExt || link.url);
+    if (added.length > names.length) names.push(`…and ${added.length - names.length} more`);
+
+    // One notification per page; a newer check replaces it. Clicking opens the page
+    chrome.notifications.create(this.alarmPrefix + monitor.id, {
+      type: 'basic',
+      iconUrl: 'icons/icon-48.png',
+      title: `${added.length} new document${added.length === 1 ? '' : 's'} on ${host}`,
+      message: names.join('\n'),
+      contextMessage: monitor.title || monitor.url,
+      priority: 1
+    });
+  }
+
+  handleNotificationClicked(notificationId) {
+    if (!notificationId.startsWith(this.alarmPrefix)) return;
+    const monitor = this.monitors[notificationId.slice(this.alarmPrefix.length)];
+    if (monitor) chrome.tabs.create({ url: monitor.url });
+    chrome.notifications.clear(notificationId);
+  }
+
+  async downloadNewDocuments(monitor, added) {
+    const items = added.map(link => ({ url: link.url }));
+    try {
+      await this.service.downloadQueue.start(items, {
+        concurrency: monitor.settings.downloadConcurrency,
+        maxRetries: monitor.settings.downloadRetries
+      });
+    } catch (error) {
+      // A bulk download is already under way; don't replace it, fetch these alongside
+      console.warn('Download queue busy, downloading new documents directly:', error.message);
+      for (const item of items) {
+        try {
+          await chrome.downloads.download({ url: item.url, conflictAction: 'uniquify', saveAs: false });
+        } catch (downloadError) {
+          console.error(`Failed to download ${item.url}:`, downloadError);
+        }
+      }
+    }
+  }
+
+  async persist() {
+    try {
+      await chrome.storage.local.set({ pageMonitors: this.monitors });
+    } catch (error) {
+      console.error('Failed to persist page monitors:', error);
+    }
+    this.broadcast();
+  }
+
+  async broadcast() {
+    // No listener when the popup is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'pageMonitorsUpdated', monitors: await this.list() }).catch(() => {});
+  }
+}
+
 class BackgroundService {
   constructor() {
+    this.probeCache = new Map(); // normalized URL -> { size, status, ... }
+    this.probeConcurrency = 4;
+    this.probeTimeoutMs = 8000;
+    this.hashCache = new Map();  // normalized URL -> { hash, size }
+    this.hashConcurrency = 2;    // whole files, so fewer at once than probes
+    this.hashTimeoutMs = 60000;
+    this.tabConcurrency = 3; // tabs extracted at once in batch mode
+    this.downloadQueue = new DownloadQueue();
+    this.offscreen = new OffscreenDocument();
+    this.siteCrawler = new SiteCrawler(this.offscreen);
+    this.zipBundler = new ZipBundler(this.offscreen);
+    this.networkCapture = new NetworkCapture(this);
+    this.pageMonitor = new PageMonitor(this);
+    this.settingsVersion = 3; // bump with a new entry in getSettingsMigrations()
     this.setupEventListeners();
     this.initializeExtension();
   }
@@ -10,6 +1555,9 @@ class BackgroundService {
     chrome.runtime.onInstalled.addListener((details) => {
       if (details.reason === 'install') {
         this.setDefaultSettings();
+      } else if (details.reason === 'update') {
+        // Fold settings saved before profiles existed into the Default profile
+        this.ensureProfiles();
       }
     });
 
@@ -30,10 +1578,17 @@ class BackgroundService {
           return true;
 
         case 'setBadgeText':
-          this.setBadgeText(request.tabId, request.text, request.color);
+          // Content scripts (watch mode) set the badge of their own tab
+          this.setBadgeText(request.tabId ?? sender.tab?.id, request.text, request.color);
           sendResponse({ success: true });
           break;
 
+        case 'hookHistory':
+          this.hookHistory(sender.tab?.id, sender.frameId)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
         case 'getTabInfo':
           chrome.tabs.get(request.tabId, (tab) => {
             if (chrome.runtime.lastError) {
@@ -44,6 +1599,149 @@ class BackgroundService {
           });
           return true;
 
+        case 'probeUrls':
+          this.probeUrls(request.entries || [])
+            .then(results => sendResponse({ success: true, results: results }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'hashUrls':
+          this.hashUrls(request.entries || [])
+            .then(results => sendResponse({ success: true, results: results }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'validateUrls':
+          this.validateUrls(request.entries || [])
+            .then(results => sendResponse({ success: true, results: results }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'extractFromTabs':
+          this.extractFromTabs(request.tabIds || [], request.settings)
+            .then(pages => sendResponse({ success: true, pages: pages }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'startDownloadJob':
+          this.respondWithJob(this.downloadQueue.start(request.items || [], request.options), sendResponse);
+          return true;
+
+        case 'getDownloadJob':
+          this.respondWithJob(this.downloadQueue.getJob(), sendResponse);
+          return true;
+
+        case 'pauseDownloadJob':
+          this.respondWithJob(this.downloadQueue.pause(), sendResponse);
+          return true;
+
+        case 'resumeDownloadJob':
+          this.respondWithJob(this.downloadQueue.resume(), sendResponse);
+          return true;
+
+        case 'cancelDownloadJob':
+          this.respondWithJob(this.downloadQueue.cancel(), sendResponse);
+          return true;
+
+        case 'clearDownloadJob':
+          this.respondWithJob(this.downloadQueue.clear().then(() => null), sendResponse);
+          return true;
+
+        case 'startNetworkCapture':
+          this.networkCapture.start(request.tabId, request.extensions || [])
+            .then(state => sendResponse({ success: true, state: state }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'stopNetworkCapture':
+          this.networkCapture.stop(request.tabId)
+            .then(state => sendResponse({ success: true, state: state }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'getNetworkCapture':
+          this.networkCapture.ready
+            .then(() => sendResponse({ success: true, state: this.networkCapture.getState(request.tabId) }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'getNetworkCaptureItems':
+          this.networkCapture.getItems(request.tabIds || [])
+            .then(items => sendResponse({ success: true, items: items }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'startCrawl':
+          this.respondWithJob(this.siteCrawler.start(request.startUrl, request.settings, request.options), sendResponse);
+          return true;
+
+        case 'getCrawlJob':
+          this.respondWithJob(this.siteCrawler.ready.then(() => this.siteCrawler.getSummary()), sendResponse);
+          return true;
+
+        case 'getCrawlResults':
+          this.respondWithJob(this.siteCrawler.getResults(), sendResponse);
+          return true;
+
+        case 'cancelCrawl':
+          this.respondWithJob(this.siteCrawler.cancel(), sendResponse);
+          return true;
+
+        case 'clearCrawl':
+          this.respondWithJob(this.siteCrawler.clear().then(() => null), sendResponse);
+          return true;
+
+        case 'startZipJob':
+          this.respondWithJob(this.zipBundler.start(request), sendResponse);
+          return true;
+
+        case 'getZipJob':
+          sendResponse({ success: true, job: this.zipBundler.getJob() });
+          break;
+
+        case 'zipProgress':
+          this.zipBundler.handleProgress(request);
+          break;
+
+        case 'getPageMonitors':
+          this.respondWithMonitors(this.pageMonitor.list(), sendResponse);
+          return true;
+
+        case 'addPageMonitor':
+          this.respondWithMonitors(this.pageMonitor.add(request.url, request.settings, request.options), sendResponse);
+          return true;
+
+        case 'checkPageMonitor':
+          this.respondWithMonitors(this.pageMonitor.check(request.id), sendResponse);
+          return true;
+
+        case 'removePageMonitor':
+          this.respondWithMonitors(this.pageMonitor.remove(request.id), sendResponse);
+          return true;
+
+        case 'reloadPageMonitors':
+          this.respondWithMonitors(this.pageMonitor.reload(), sendResponse);
+          return true;
+
+        case 'migrateSettingsData':
+          try {
+            sendResponse({
+              success: true,
+              data: this.migrateSettingsData(request.data || {}),
+              defaults: this.getDefaultSettings(),
+              version: this.settingsVersion
+            });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'ensureProfiles':
+          this.ensureProfiles()
+            .then(profileIds => sendResponse({ success: true, profileIds: profileIds, version: this.settingsVersion }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
         default:
           sendResponse({ error: 'Unknown action' });
       }
@@ -68,27 +1766,183 @@ class BackgroundService {
       } else if (downloadDelta.error) {
         console.error('Download failed:', downloadDelta.error);
       }
+      this.downloadQueue.handleDownloadChanged(downloadDelta);
+      this.zipBundler.handleDownloadChanged(downloadDelta);
+    });
+
+    // Network capture follows popups opened by a capturing tab and script-started downloads
+    chrome.downloads.onCreated.addListener((download) => this.networkCapture.handleDownloadCreated(download));
+    chrome.tabs.onCreated.addListener((tab) => this.networkCapture.handleTabCreated(tab));
+    chrome.tabs.onRemoved.addListener((tabId) => this.networkCapture.handleTabRemoved(tabId));
+
+    // Alarms: scheduled page checks and download retries; opening a monitored page from its notification
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.pageMonitor.handleAlarm(alarm);
+      this.downloadQueue.handleAlarm(alarm);
     });
+    chrome.notifications.onClicked.addListener((notificationId) => this.pageMonitor.handleNotificationClicked(notificationId));
   }
 
-  async setDefaultSettings() {
-    const defaultSettings = {
+  getDefaultSettings() {
+    return {
       innerContent: true,
       makeAbsolute: true,
+      probeSizes: false,
+      hashContents: false,
+      downloadConcurrency: 3,
+      downloadRetries: 3,
+      filenameTemplate: '{filename}.{ext}',
+      resolveUnknown: false,
+      urlStripParams: '',
+      urlKeepParams: '',
+      urlIgnoreScheme: false,
+      urlIgnoreWww: false,
+      urlHostAliases: '',
+      urlStripIndex: false,
+      urlFoldPathCase: false,
+      resolvePattern: 'download|\\.ashx|\\.aspx|/-/media/|/~/media/|getfile|attachment',
       mediaPrefixXlsx: 'media | /Sitecore/adshkjkasd/adsdksa/',
       mediaPrefixHtml: '/~/media/Files/K/Kingfisher-Plc/Universal/investors/result-reports-presentation/2025',
+      mediaRewriteRules: '',
+      mediaRewriteMatchCase: false,
+      snippetTemplate: 'button',
+      exportFormat: 'csv',
+      exportSaveAs: true,
+      exportColumns: 'original_url,title,slugified_filename_with_ext,slugified_filename_no_ext,media_constant,media_constant_no_ext,link_text,file_size_human,tooltip,extension,status,is_duplicate,content_hash,duplicate_of,source_page,also_found_on,frame_url,selector_path,link_source,selector_used',
       fileExtensions: 'pdf,docx,doc,xlsx,xls,pptx,ppt,txt,csv,rtf,odt',
-      linkSelectors: 'a[href],link[href],a[data-href],a[data-download]'
+      linkSelectors: 'a[href],link[href],a[data-href],a[data-download]',
+      sourceAnchors: true,
+      sourceEmbeds: true,
+      sourceMeta: true,
+      sourceJsonLd: true,
+      sourceText: false,
+      crawlDepth: 2,
+      crawlMaxPages: 100,
+      crawlDelayMs: 1000,
+      crawlPathPrefix: '',
+      crawlInclude: '',
+      crawlExclude: '',
+      zoneFilterEnabled: true,
+      excludeZones: 'header,footer,nav,aside,[role="banner"],[role="contentinfo"],[role="navigation"],[role="complementary"],.site-header,.site-footer,.global-header,.global-footer,.header,.footer,.navigation,.nav,.navbar,.nav-bar,.site-nav,.main-nav,.primary-nav,.secondary-nav,.breadcrumb,.breadcrumbs,.page-header,.page-footer,.top-bar,.bottom-bar,.masthead,.site-info,#header,#footer,#navigation,#nav,#navbar,#site-header,#site-footer,#main-nav,#primary-nav,.main-footer,.footer-section,.footer-content,.footer-wrapper,.footer-links,.footer-nav,.footer-menu,[class*="footer"],[id*="footer"],.legal-links,.corporate-links,.utility-links',
+      includeZones: ''
     };
+  }
 
+  async setDefaultSettings() {
     try {
-      await chrome.storage.sync.set(defaultSettings);
+      await this.ensureProfiles();
       console.log('Default settings initialized');
     } catch (error) {
       console.error('Failed to set default settings:', error);
     }
   }
 
+  /* ----------------------------
+     profiles
+     - profileIds: ordered list of ids; each profile is stored under profile:<id>
+     - the "default" profile always exists and can't be deleted
+     ---------------------------- */
+  async ensureProfiles() {
+    const { profileIds, zoneOverrides, zoneOverrideHosts } = await chrome.storage.sync.get(['profileIds', 'zoneOverrides', 'zoneOverrideHosts']);
+    if (Array.isArray(profileIds) && profileIds.length > 0) {
+      // Version 2 kept every site's zone override in a single item; a newer device may
+      // already have stored some per host, so the migration adds to its list
+      if (zoneOverrides) {
+        const migrated = this.migrateSettingsData({
+          version: 2,
+          sync: { zoneOverrides: zoneOverrides, zoneOverrideHosts: zoneOverrideHosts || [] }
+        });
+        await chrome.storage.sync.set(migrated.sync);
+        await chrome.storage.sync.remove('zoneOverrides');
+      }
+      return profileIds;
+    }
+
+    // First run, or flat (version 1) settings from before profiles existed
+    const defaults = this.getDefaultSettings();
+    const legacy = await chrome.storage.sync.get(Object.keys(defaults));
+    const migrated = this.migrateSettingsData({ version: 1, sync: legacy });
+
+    await chrome.storage.sync.set(migrated.sync);
+    await chrome.storage.sync.remove(Object.keys(defaults));
+    console.log(`Default profile created (${Object.keys(legacy).length} legacy settings migrated)`);
+    return migrated.sync.profileIds;
+  }
+
+  /* ----------------------------
+     settings migrations
+     - data: { version, sync: {...storage.sync}, local: {...storage.local} }
+     - used for stored settings and for files imported on the options page
+     ---------------------------- */
+  getSettingsMigrations() {
+    return {
+      // 1 -> 2: flat settings keys became the "default" profile
+      1: (data) => {
+        const sync = { ...(data.sync || {}) };
+        if (!Array.isArray(sync.profileIds)) {
+          const defaults = this.getDefaultSettings();
+          const legacy = {};
+          Object.keys(defaults).forEach(key => {
+            if (key in sync) {
+              legacy[key] = sync[key];
+              delete sync[key];
+            }
+          });
+          sync.profileIds = ['default'];
+          sync['profile:default'] = { id: 'default', name: 'Default', match: '', settings: { ...defaults, ...legacy } };
+        }
+        return { ...data, version: 2, sync: sync };
+      },
+
+      // 2 -> 3: zoneOverrides ({ host: zones }) split into zoneOverride:<host> items, which keeps
+      // a growing list of sites under the per-item sync quota
+      2: (data) => {
+        const sync = { ...(data.sync || {}) };
+        const overrides = sync.zoneOverrides;
+        if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+          const hosts = Object.keys(overrides);
+          hosts.forEach(host => {
+            sync[`zoneOverride:${host}`] = overrides[host];
+          });
+          sync.zoneOverrideHosts = [...new Set([...(sync.zoneOverrideHosts || []), ...hosts])];
+          delete sync.zoneOverrides;
+        }
+        return { ...data, version: 3, sync: sync };
+      }
+    };
+  }
+
+  migrateSettingsData(data) {
+    const migrations = this.getSettingsMigrations();
+    let migrated = { ...data, version: parseInt(data.version, 10) || 1 };
+
+    if (migrated.version > this.settingsVersion) {
+      throw new Error(`Settings version ${migrated.version} is newer than this extension supports (${this.settingsVersion})`);
+    }
+
+    while (migrated.version < this.settingsVersion) {
+      const migrate = migrations[migrated.version];
+      if (!migrate) {
+        throw new Error(`No migration from settings version ${migrated.version}`);
+      }
+      migrated = migrate(migrated);
+    }
+
+    return migrated;
+  }
+
+  respondWithJob(promise, sendResponse) {
+    promise
+      .then(job => sendResponse({ success: true, job: job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+
+  respondWithMonitors(promise, sendResponse) {
+    promise
+      .then(monitors => sendResponse({ success: true, monitors: monitors }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+
   setBadgeText(tabId, text, backgroundColor = '#4facfe') {
     chrome.action.setBadgeText({ tabId: tabId, text: text });
     chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: backgroundColor });
@@ -96,13 +1950,17 @@ class BackgroundService {
 
   async notifyDownloadComplete(downloadId) {
     try {
+      // Bulk downloads would post one notification per file; the queue shows their progress instead
+      if (this.downloadQueue.ownsDownload(downloadId)) return;
+
       const downloadItem = await this.getDownloadItem(downloadId);
-      
-      if (downloadItem && downloadItem.filename) {
+
+      // Only files this extension saved; other downloads in the browser are none of our business
+      if (downloadItem && downloadItem.filename && downloadItem.byExtensionId === chrome.runtime.id) {
         // Show notification for completed download
         chrome.notifications.create({
           type: 'basic',
-          iconUrl: 'icons/icon48.png',
+          iconUrl: 'icons/icon-48.png',
           title: 'Document Link Extractor',
           message: `Downloaded: ${downloadItem.filename}`
         });
@@ -124,24 +1982,392 @@ class BackgroundService {
     });
   }
 
-  // Utility method to inject content script if not already injected
-  async injectContentScript(tabId) {
+  /* ----------------------------
+     file size probing (HEAD, then Range GET)
+     ---------------------------- */
+
+  // entries: [{ key: normalizedUrl, url }] -> { [key]: probe result }
+  async probeUrls(entries) {
+    const results = {};
+    const pending = [];
+
+    entries.forEach(entry => {
+      if (!entry || !entry.url) return;
+      const key = entry.key || entry.url;
+      if (this.probeCache.has(key)) {
+        results[key] = this.probeCache.get(key);
+      } else if (!pending.some(p => p.key === key)) {
+        pending.push({ key: key, url: entry.url });
+      }
+    });
+
+    await this.runWithConcurrency(pending, this.probeConcurrency, async (entry) => {
+      const result = await this.probeUrl(entry.url);
+      // Only cache answers from the server; timeouts and network errors may succeed next time
+      if (result.status) this.probeCache.set(entry.key, result);
+      results[entry.key] = result;
+    });
+
+    console.log(`Probed ${pending.length} URLs (${entries.length - pending.length} from cache)`);
+    return results;
+  }
+
+  async probeUrl(url) {
+    const head = await this.probeRequest(url, { method: 'HEAD' });
+    if (head.size !== null) return head;
+
+    // Some servers reject HEAD or omit Content-Length on it; ask for the first byte instead
+    const range = await this.probeRequest(url, { method: 'GET', headers: { Range: 'bytes=0-0' } });
+    if (!range.status) return head.status ? head : range;
+
+    return {
+      ...range,
+      contentType: range.contentType || head.contentType,
+      filename: range.filename || head.filename,
+      extension: range.extension || head.extension
+    };
+  }
+
+  /* ----------------------------
+     content hashing (SHA-256 of the whole file, to spot the same document at different URLs)
+     ---------------------------- */
+
+  // entries: [{ key: normalizedUrl, url }] -> { [key]: { hash, size } or { hash: null, error } }
+  async hashUrls(entries) {
+    const results = {};
+    const pending = [];
+
+    entries.forEach(entry => {
+      if (!entry || !entry.url) return;
+      const key = entry.key || entry.url;
+      if (this.hashCache.has(key)) {
+        results[key] = this.hashCache.get(key);
+      } else if (!pending.some(p => p.key === key)) {
+        pending.push({ key: key, url: entry.url });
+      }
+    });
+
+    let done = 0;
+    await this.runWithConcurrency(pending, this.hashConcurrency, async (entry) => {
+      const result = await this.hashUrl(entry.url);
+      if (result.hash) this.hashCache.set(entry.key, result);
+      results[entry.key] = result;
+      done++;
+      // No listener when the popup is closed; that's fine
+      chrome.runtime.sendMessage({ action: 'hashProgress', done: done, total: pending.length }).catch(() => {});
+    });
+
+    console.log(`Hashed ${pending.length} URLs (${entries.length - pending.length} from cache)`);
+    return results;
+  }
+
+  async hashUrl(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.hashTimeoutMs);
+
+    try {
+      const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+      if (!response.ok) {
+        return { hash: null, error: `HTTP ${response.status}` };
+      }
+
+      const buffer = await response.arrayBuffer();
+      const digest = await crypto.subtle.digest('SHA-256', buffer);
+      const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+      return { hash: hash, size: buffer.byteLength };
+    } catch (error) {
+      return { hash: null, error: error.name === 'AbortError' ? 'timeout' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /* ----------------------------
+     link validation (always a fresh request; the probe cache may be stale)
+     ---------------------------- */
+
+  // entries: [{ key: normalizedUrl, url }] -> { [key]: probe result with finalUrl + redirected }
+  async validateUrls(entries) {
+    const results = {};
+    let done = 0;
+
+    await this.runWithConcurrency(entries, this.probeConcurrency, async (entry) => {
+      results[entry.key || entry.url] = await this.validateUrl(entry.url);
+      done++;
+      // No listener when the popup is closed; that's fine
+      chrome.runtime.sendMessage({ action: 'validationProgress', done: done, total: entries.length }).catch(() => {});
+    });
+
+    console.log(`Validated ${entries.length} URLs`);
+    return results;
+  }
+
+  async validateUrl(url) {
+    const head = await this.probeRequest(url, { method: 'HEAD' });
+    if (head.status >= 200 && head.status < 400) return head;
+
+    // Some servers answer HEAD with 403/405/501 (or drop it) but serve the GET fine
+    const range = await this.probeRequest(url, { method: 'GET', headers: { Range: 'bytes=0-0' } });
+    return range.status ? range : head;
+  }
+
+  async probeRequest(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.probeTimeoutMs);
+
     try {
-      // Try to ping the content script first
-      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
-      return true; // Content script already exists
+      const response = await fetch(url, {
+        ...options,
+        credentials: 'include',
+        cache: 'no-store',
+        redirect: 'follow',
+        signal: controller.signal
+      });
+
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      const filename = this.parseContentDispositionFilename(response.headers.get('content-disposition'));
+      const filenameExtMatch = filename.match(/\.([0-9a-zA-Z]+)$/);
+
+      return {
+        status: response.status,
+        size: response.ok ? this.readContentLength(response) : null,
+        method: options.method,
+        finalUrl: response.url || url,
+        redirected: response.redirected,
+        contentType: contentType,
+        filename: filename,
+        // Content-Disposition beats the MIME type: servers often send application/octet-stream
+        extension: filenameExtMatch ? filenameExtMatch[1].toLowerCase() : this.extensionFromContentType(contentType)
+      };
     } catch (error) {
-      // Content script doesn't exist, inject it
+      return {
+        status: 0,
+        size: null,
+        method: options.method,
+        error: error.name === 'AbortError' ? 'timeout' : error.message
+      };
+    } finally {
+      clearTimeout(timer);
+      // Drop any body the server sends anyway (e.g. a 200 that ignored the Range header)
+      controller.abort();
+    }
+  }
+
+  readContentLength(response) {
+    // 206 Partial Content: "bytes 0-0/123456" carries the full size
+    const contentRange = response.headers.get('content-range');
+    if (contentRange) {
+      const match = contentRange.match(/\/(\d+)\s*$/);
+      return match ? parseInt(match[1], 10) : null;
+    }
+
+    if (response.status === 206) return null;
+
+    const length = parseInt(response.headers.get('content-length') || '', 10);
+    return !isNaN(length) && length > 0 ? length : null;
+  }
+
+  parseContentDispositionFilename(header) {
+    if (!header) return '';
+
+    // RFC 5987: filename*=UTF-8''Annual%20Report%202024.pdf takes precedence over filename=
+    const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+    if (extended) {
+      const charset = extended[1].trim().toLowerCase();
+      const encoded = extended[2].trim().replace(/^"|"$/g, '');
+      try {
+        const decoded = charset === 'utf-8' || charset === ''
+          ? decodeURIComponent(encoded)
+          : encoded.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return this.stripFilenamePath(decoded);
+      } catch (e) {
+        console.warn('Invalid extended Content-Disposition filename:', header);
+      }
+    }
+
+    const plain = header.match(/filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]+))/i);
+    if (plain) {
+      const value = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2];
+      return this.stripFilenamePath(value);
+    }
+
+    return '';
+  }
+
+  stripFilenamePath(filename) {
+    // Never trust directory components sent by the server
+    return String(filename || '').split(/[\\/]/).pop().trim();
+  }
+
+  extensionFromContentType(contentType) {
+    const mimeExtensions = {
+      'application/pdf': 'pdf',
+      'application/msword': 'doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+      'application/vnd.ms-excel': 'xls',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+      'application/vnd.ms-powerpoint': 'ppt',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+      'application/vnd.oasis.opendocument.text': 'odt',
+      'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+      'application/vnd.oasis.opendocument.presentation': 'odp',
+      'application/rtf': 'rtf',
+      'text/rtf': 'rtf',
+      'text/csv': 'csv',
+      'text/plain': 'txt',
+      'application/zip': 'zip'
+    };
+    return mimeExtensions[contentType] || '';
+  }
+
+  async runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (nextIndex < items.length) {
+        const item = items[nextIndex++];
+        try {
+          await worker(item);
+        } catch (error) {
+          console.warn('Worker failed for item:', item, error);
+        }
+      }
+    });
+    await Promise.all(runners);
+  }
+
+  /* ----------------------------
+     batch extraction: run the content script's extractor in several tabs
+     - one entry per tab, in the order given; failures are reported, not thrown
+     ---------------------------- */
+  async extractFromTabs(tabIds, settings) {
+    const pages = new Array(tabIds.length);
+
+    await this.runWithConcurrency(tabIds.map((tabId, index) => ({ tabId, index })), this.tabConcurrency, async ({ tabId, index }) => {
+      let tab = null;
       try {
+        tab = await chrome.tabs.get(tabId);
+        if (tab.discarded) {
+          throw new Error('Tab is unloaded; switch to it once so it loads, then try again');
+        }
+        if (!await this.injectContentScript(tabId)) {
+          throw new Error('Content script could not be injected into this page');
+        }
+
+        pages[index] = {
+          success: true,
+          tabId: tabId,
+          ...await this.extractFromFrames(tab, settings)
+        };
+      } catch (error) {
+        console.warn(`Extraction failed for tab ${tabId}:`, error);
+        pages[index] = {
+          success: false,
+          tabId: tabId,
+          url: tab?.url || '',
+          title: tab?.title || '',
+          error: error.message
+        };
+      }
+    });
+
+    console.log(`Extracted ${pages.filter(page => page.success).length}/${tabIds.length} tabs`);
+    return pages;
+  }
+
+  // Runs the extractor in every frame of the tab and merges the results into one page.
+  // Links keep the URL of the frame they were found in; pageUrl is always the tab's page.
+  async extractFromFrames(tab, settings) {
+    const frames = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      func: (frameSettings) => {
+        // about:blank/srcdoc frames resolve relative links against their parent
+        const frameUrl = location.href.startsWith('about:') ? document.baseURI : location.href;
+        return new ContentExtractor({ listen: false }).extractDocumentLinks(frameSettings, frameUrl);
+      },
+      args: [settings]
+    });
+
+    const top = frames.find(frame => frame.frameId === 0);
+    if (!top || !top.result || !top.result.success) {
+      throw new Error(top?.error?.message || 'No response from page');
+    }
+
+    const links = [];
+    const zoneStats = new Map();
+    frames.forEach(frame => {
+      const result = frame.result;
+      if (!result || !result.success) return;
+
+      result.links.forEach(link => {
+        links.push({ ...link, frameUrl: result.pageUrl, pageUrl: tab.url, pageTitle: top.result.pageTitle });
+      });
+      (result.zoneStats || []).forEach(stat => {
+        const key = `${stat.type}:${stat.rule}`;
+        const existing = zoneStats.get(key);
+        if (existing) {
+          existing.excluded += stat.excluded;
+        } else {
+          zoneStats.set(key, { ...stat });
+        }
+      });
+    });
+
+    const frameCount = frames.filter(frame => frame.result && frame.result.success && frame.result.links.length > 0).length;
+    console.log(`Tab ${tab.id}: ${links.length} links from ${frameCount} of ${frames.length} frames`);
+
+    return {
+      url: tab.url,
+      title: top.result.pageTitle || tab.title || '',
+      links: links,
+      zoneStats: Array.from(zoneStats.values())
+    };
+  }
+
+  // Client-side routers call history.pushState/replaceState from the page's own JS world,
+  // which the content script can't patch; wrap them there and announce each call as a DOM event
+  async hookHistory(tabId, frameId = 0) {
+    if (tabId === undefined) throw new Error('No tab to hook');
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId, frameIds: [frameId] },
+      world: 'MAIN',
+      func: () => {
+        if (window.__docExtractorHistoryHooked) return;
+        window.__docExtractorHistoryHooked = true;
+
+        ['pushState', 'replaceState'].forEach(method => {
+          const original = history[method];
+          history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event('docextractor:navigate'));
+            return result;
+          };
+        });
+      }
+    });
+  }
+
+  // Utility method to inject content script if not already injected
+  // (declared content scripts skip tabs and frames that were open before the extension loaded)
+  async injectContentScript(tabId) {
+    try {
+      // Ask every frame whether the content script is already there
+      const checks = await chrome.scripting.executeScript({
+        target: { tabId: tabId, allFrames: true },
+        func: () => typeof ContentExtractor !== 'undefined'
+      });
+
+      const missing = checks.filter(check => !check.result).map(check => check.frameId);
+      if (missing.length > 0) {
         await chrome.scripting.executeScript({
-          target: { tabId: tabId },
+          target: { tabId: tabId, frameIds: missing },
           files: ['content.js']
         });
-        return true;
-      } catch (injectionError) {
-        console.error('Failed to inject content script:', injectionError);
-        return false;
       }
+      return true;
+    } catch (error) {
+      console.error('Failed to inject content script:', error);
+      return false;
     }
   }
 
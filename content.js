@@ -1,7 +1,11 @@
 // Content script for Document Link Extractor
 class ContentExtractor {
-  constructor() {
-    this.setupMessageListener();
+  // listen: false when another extension page (the crawler's offscreen document) drives it directly
+  constructor(options = {}) {
+    this.watch = null;
+    if (options.listen !== false) {
+      this.setupMessageListener();
+    }
   }
 
   setupMessageListener() {
@@ -14,150 +18,311 @@ class ContentExtractor {
         // Return true to indicate we'll send a response asynchronously
         return true;
       }
+
+      if (request.action === 'startWatching') {
+        this.startWatching(request.settings)
+          .then(state => sendResponse({ success: true, state: state }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+
+      if (request.action === 'stopWatching') {
+        this.stopWatching();
+        sendResponse({ success: true, state: this.getWatchState() });
+        return;
+      }
+
+      if (request.action === 'getWatchState') {
+        sendResponse({ success: true, state: this.getWatchState() });
+        return;
+      }
+
+      if (request.action === 'getWatchedLinks') {
+        sendResponse({ success: true, pages: this.getWatchedPages() });
+        return;
+      }
+    });
+  }
+
+  /* ----------------------------
+     watch mode: keep collecting links that show up after the first snapshot
+     ("Load more" lists, tabs, accordions, client-side route changes)
+     - links are grouped by the URL the page had when they appeared, so the popup
+       merges SPA routes the same way it merges tabs
+     ---------------------------- */
+  async startWatching(settings) {
+    this.stopWatching();
+
+    this.watch = {
+      active: true,
+      settings: settings,
+      startedAt: new Date().toISOString(),
+      pages: new Map(),   // page URL -> { url, title, links: Map(url -> link), zoneStats }
+      observer: null,
+      scanTimer: null,
+      candidateSelector: this.buildWatchSelector(settings),
+      textPattern: this.buildWatchTextPattern(settings)
+    };
+
+    this.handleWatchNavigation = () => this.scheduleWatchScan();
+    window.addEventListener('popstate', this.handleWatchNavigation);
+    window.addEventListener('hashchange', this.handleWatchNavigation);
+    // pushState/replaceState can only be wrapped from the page's own world; the background does that
+    window.addEventListener('docextractor:navigate', this.handleWatchNavigation);
+    chrome.runtime.sendMessage({ action: 'hookHistory' }).catch(() => {});
+
+    // Tickers and carousels mutate all the time; only rescan when something that could
+    // hold a link arrives
+    this.watch.observer = new MutationObserver((mutations) => {
+      const relevant = mutations.some(mutation => mutation.type === 'attributes'
+        ? this.isWatchCandidate(mutation.target)
+        : Array.from(mutation.addedNodes).some(node => this.isWatchCandidate(node)));
+      if (relevant) this.scheduleWatchScan();
+    });
+    this.watch.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['href', 'data-href', 'data-download']
+    });
+
+    await this.scanWatchedPage();
+    return this.getWatchState();
+  }
+
+  stopWatching() {
+    if (!this.watch || !this.watch.active) return;
+
+    this.watch.active = false;
+    this.watch.observer.disconnect();
+    clearTimeout(this.watch.scanTimer);
+    window.removeEventListener('popstate', this.handleWatchNavigation);
+    window.removeEventListener('hashchange', this.handleWatchNavigation);
+    window.removeEventListener('docextractor:navigate', this.handleWatchNavigation);
+
+    // The collection stays available to the popup until the page reloads or a new watch starts
+    chrome.runtime.sendMessage({ action: 'setBadgeText', text: '' }).catch(() => {});
+    this.broadcastWatchState();
+  }
+
+  // Elements the enabled link sources look at (see getLinkSources)
+  buildWatchSelector(settings) {
+    const enabled = settings.linkSources || ['anchors'];
+    const selectors = [];
+    if (enabled.includes('anchors')) {
+      (settings.linkSelectors || []).forEach(selector => {
+        try {
+          document.createDocumentFragment().querySelector(selector);
+          selectors.push(selector);
+        } catch (error) {
+          // Reported by the extraction itself; it just can't narrow the watch
+        }
+      });
+    }
+    if (enabled.includes('embeds')) selectors.push('embed[src]', 'object[data]', 'iframe[src]');
+    if (enabled.includes('meta')) selectors.push('meta[content]');
+    if (enabled.includes('jsonld')) selectors.push('script[type="application/ld+json"]');
+    return selectors.join(', ');
+  }
+
+  // The text source finds bare URLs, so any new text naming a wanted extension counts
+  buildWatchTextPattern(settings) {
+    const extensions = (settings.fileExtensions || []).join('|');
+    if (!(settings.linkSources || []).includes('text') || !extensions) return null;
+    return new RegExp(`\\.(?:${extensions})\\b`, 'i');
+  }
+
+  isWatchCandidate(node) {
+    const { candidateSelector, textPattern } = this.watch;
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (candidateSelector && (node.matches(candidateSelector) || node.querySelector(candidateSelector))) return true;
+    } else if (node.nodeType !== Node.TEXT_NODE) {
+      return false;
+    }
+    return !!textPattern && textPattern.test(node.textContent || '');
+  }
+
+  // Throttled rather than debounced: pages that never stop mutating (carousels, clocks) still get scanned
+  scheduleWatchScan() {
+    if (!this.watch || !this.watch.active || this.watch.scanTimer) return;
+
+    this.watch.scanTimer = setTimeout(() => {
+      this.watch.scanTimer = null;
+      this.scanWatchedPage().catch(error => console.warn('Watch scan failed:', error));
+    }, 750);
+  }
+
+  async scanWatchedPage() {
+    if (!this.watch || !this.watch.active) return;
+
+    const pageUrl = location.href;
+    const result = await this.extractDocumentLinks(this.watch.settings, pageUrl, document, { quiet: true });
+
+    let page = this.watch.pages.get(pageUrl);
+    if (!page) {
+      page = { url: pageUrl, title: result.pageTitle, links: new Map(), zoneStats: [] };
+      this.watch.pages.set(pageUrl, page);
+    }
+    page.title = result.pageTitle || page.title;
+    page.zoneStats = result.zoneStats;
+
+    let added = 0;
+    result.links.forEach(link => {
+      // First sighting wins; a link that scrolls out of a virtual list is kept
+      if (page.links.has(link.url)) return;
+      page.links.set(link.url, link);
+      added++;
     });
+
+    if (added > 0) {
+      console.log(`Watch mode: ${added} new links on ${pageUrl}`);
+      this.broadcastWatchState();
+    }
+  }
+
+  getWatchState() {
+    if (!this.watch) return { watching: false, count: 0, pages: 0 };
+
+    const urls = new Set();
+    this.watch.pages.forEach(page => page.links.forEach((link, url) => urls.add(url)));
+    return {
+      watching: this.watch.active,
+      count: urls.size,
+      pages: this.watch.pages.size,
+      startedAt: this.watch.startedAt
+    };
+  }
+
+  // Same shape the background returns for batch extraction
+  getWatchedPages() {
+    if (!this.watch) return [];
+    return Array.from(this.watch.pages.values()).map(page => ({
+      success: true,
+      url: page.url,
+      title: page.title,
+      links: Array.from(page.links.values()),
+      zoneStats: page.zoneStats
+    }));
+  }
+
+  broadcastWatchState() {
+    const state = this.getWatchState();
+    if (state.watching) {
+      chrome.runtime.sendMessage({ action: 'setBadgeText', text: String(state.count), color: '#38a169' }).catch(() => {});
+    }
+    // No listener when the popup is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'watchUpdated', state: state }).catch(() => {});
   }
 
-  async extractDocumentLinks(settings, pageUrl) {
+  // doc: the live page, or a parsed copy of a crawled page
+  // options.quiet: no per-link console output (watch mode rescans the page again and again)
+  async extractDocumentLinks(settings, pageUrl, doc = document, options = {}) {
+    const log = options.quiet ? () => {} : (...args) => console.log(...args);
     try {
       const links = []; // Use array instead of Map to keep duplicates
-      const { fileExtensions, linkSelectors, innerContent, makeAbsolute } = settings;
+      const { fileExtensions, innerContent, makeAbsolute } = settings;
 
       // Create regex for file extensions
       const extPattern = new RegExp(`\\.(${fileExtensions.join('|')})(\\?.*)?$`, 'i');
 
-      // Process each selector type
-      linkSelectors.forEach(selector => {
+      // Extensionless handler URLs (download.ashx?id=1, /-/media/abc) are kept as candidates;
+      // the popup resolves their real type from the server and filters them afterwards
+      const resolvePattern = settings.resolveUnknown ? this.buildResolvePattern(settings.resolvePattern) : null;
+
+      // Zones are resolved once per page: one querySelectorAll per rule, then a
+      // memoised ancestor walk per link instead of matching every selector at every level
+      // Web components keep their links in shadow DOM; open roots are searched like the document
+      const roots = this.collectSearchRoots(doc);
+      const zoneFilter = this.buildZoneFilter(settings, roots);
+
+      // Every enabled source contributes candidates; they all go through the same checks below
+      const candidates = this.collectCandidates(settings, { roots, doc, pageUrl, log });
+      const foundUrls = new Set();
+
+      candidates.forEach(candidate => {
+        const { element, selector, index, source } = candidate;
         try {
-          // Enhanced bad zone detection
-          const badZoneSelectors = [
-            'header', 'footer', 'nav', 'aside',
-            '[role="banner"]', '[role="contentinfo"]', '[role="navigation"]', '[role="complementary"]',
-            '.site-header', '.site-footer', '.global-header', '.global-footer',
-            '.header', '.footer', '.navigation', '.nav', '.navbar', '.nav-bar',
-            '.site-nav', '.main-nav', '.primary-nav', '.secondary-nav',
-            '.breadcrumb', '.breadcrumbs', '.page-header', '.page-footer',
-            '.top-bar', '.bottom-bar', '.masthead', '.site-info',
-            '#header', '#footer', '#navigation', '#nav', '#navbar',
-            '#site-header', '#site-footer', '#main-nav', '#primary-nav',  
-            // Corporate website specific
-            '.footer', '.site-footer', '.page-footer', '.main-footer',
-            '.footer-section', '.footer-content', '.footer-wrapper',
-            '.footer-links', '.footer-nav', '.footer-menu',
-            
-            // More specific patterns
-            '[class*="footer"]', '[id*="footer"]',
-            '.legal-links', '.corporate-links', '.utility-links',
-          ];
-
-          const badZones = document.querySelectorAll(badZoneSelectors.join(', '));
-
-          const isInBadZone = (element) => {
-            // Check if element itself matches bad zone selectors
-            for (const selector of badZoneSelectors) {
-              try {
-                if (element.matches(selector)) return true;
-              } catch (e) {}
+          const href = candidate.href;
+
+          if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+            return;
+          }
+
+          let finalUrl = href.trim();
+
+          // Make absolute if needed
+          if (makeAbsolute) {
+            finalUrl = this.makeAbsoluteUrl(finalUrl, pageUrl);
+          }
+
+          // Check if it matches document extensions
+          const matchesExtension = extPattern.test(finalUrl);
+          const needsResolution = !matchesExtension && !!resolvePattern && resolvePattern.test(finalUrl);
+
+          if (matchesExtension || needsResolution) {
+            if (zoneFilter.excludes(element)) {
+              return;
             }
-            
-            // Check if ANY ancestor (at any depth) is a bad zone
-            let currentElement = element;
-            while (currentElement && currentElement !== document.body) {
-              // Check against all bad zone elements
-              for (const zone of badZones) {
-                if (zone === currentElement) {
-                  return true;
-                }
-              }
-              
-              // Also check if current ancestor matches bad zone selectors
-              for (const selector of badZoneSelectors) {
-                try {
-                  if (currentElement.matches(selector)) {
-                    return true;
-                  }
-                } catch (e) {}
-              }
-              
-              currentElement = currentElement.parentElement;
+
+            // Repeated anchors are kept as duplicates; the other sources only add URLs
+            // that nothing before them found (a citation_pdf_url usually repeats a link)
+            if (source !== 'anchors' && foundUrls.has(finalUrl)) {
+              return;
             }
-            
-            return false;
-          };
-          
-          const elements = Array.from(document.querySelectorAll(selector))
-            .filter(element => !isInBadZone(element));
-          
-          console.log(`Processing selector "${selector}": found ${elements.length} elements`);
-          
-          elements.forEach((element, index) => {
-            try {
-              const href = element.getAttribute('href') || 
-                          element.getAttribute('data-href') || 
-                          element.getAttribute('data-download');
-              
-              if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
-                return;
-              }
-
-              let finalUrl = href.trim();
-              
-              // Make absolute if needed
-              if (makeAbsolute) {
-                finalUrl = this.makeAbsoluteUrl(finalUrl, pageUrl);
-              }
-
-              // Check if it matches document extensions
-              if (extPattern.test(finalUrl)) {
-                // Check for duplicates dynamically
-                const existingCount = links.filter(link => link.url === finalUrl).length;
-                if (existingCount > 0) {
-                  console.log(`Found duplicate ${existingCount + 1}:`, {
-                    url: finalUrl,
-                    element: element,
-                    selector: selector,
-                    index: index,
-                    totalLinksFound: links.length
-                  });
-                }
-
-                let title = '';
-                
-                if (innerContent) {
-                  title = (element.innerText || '').trim() ||
-                          this.extractElementText(element) ||
-                          element.getAttribute('title') ||
-                          element.getAttribute('aria-label') ||
-                          element.getAttribute('data-title') ||
-                          '';
-                }
-
-                // Extract additional metadata
-                const metadata = this.extractLinkMetadata(element, finalUrl);
-
-                links.push({
-                  url: finalUrl,
-                  title: title.trim(),
-                  filename: metadata.filename,
-                  filenameWithExt: metadata.filenameWithExt,
-                  extension: metadata.extension,
-                  estimatedSize: metadata.estimatedSize,
-                  tooltip: metadata.tooltip,
-                  element: element.outerHTML.substring(0, 200) + '...',
-                  pageUrl: pageUrl,
-                  uniqueId: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-                  selectorUsed: selector,
-                  elementIndex: index
-                });
-
-                console.log(`Found link ${links.length}: ${finalUrl}`);
-              }
-            } catch (error) {
-              console.warn(`Error processing element ${index}:`, error, element);
-              // Don't return, continue to next element
+            foundUrls.add(finalUrl);
+
+            // Check for duplicates dynamically
+            const existingCount = links.filter(link => link.url === finalUrl).length;
+            if (existingCount > 0) {
+              log(`Found duplicate ${existingCount + 1}:`, {
+                url: finalUrl,
+                element: element,
+                selector: selector,
+                index: index,
+                totalLinksFound: links.length
+              });
             }
-          });
+
+            let title = '';
+
+            if (innerContent) {
+              title = candidate.title !== undefined ? (candidate.title || '') :
+                      (element.innerText || '').trim() ||
+                      this.extractElementText(element) ||
+                      element.getAttribute('title') ||
+                      element.getAttribute('aria-label') ||
+                      element.getAttribute('data-title') ||
+                      '';
+            }
+
+            // Extract additional metadata
+            const metadata = this.extractLinkMetadata(element, finalUrl);
+
+            links.push({
+              url: finalUrl,
+              title: title.trim(),
+              filename: metadata.filename,
+              filenameWithExt: metadata.filenameWithExt,
+              extension: metadata.extension,
+              estimatedSize: metadata.estimatedSize,
+              sizeSource: metadata.estimatedSize ? 'scraped' : null,
+              tooltip: metadata.tooltip,
+              element: element.outerHTML.substring(0, 200) + '...',
+              pageUrl: pageUrl,
+              pageTitle: doc.title || '',
+              uniqueId: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+              source: source,
+              selectorUsed: selector,
+              selectorPath: this.buildSelectorPath(element),
+              elementIndex: index,
+              needsResolution: needsResolution
+            });
+
+            log(`Found link ${links.length}: ${finalUrl}`);
+          }
         } catch (error) {
-          console.warn(`Error processing selector "${selector}":`, error);
+          console.warn(`Error processing ${source} candidate ${index}:`, error, element);
+          // Don't return, continue to next candidate
         }
       });
 
@@ -168,16 +333,20 @@ class ContentExtractor {
       });
 
       const duplicates = Object.entries(urlCounts).filter(([url, count]) => count > 1);
-      console.log(`Duplicates found:`, duplicates);
-      console.log(`Total links found: ${links.length}`);
+      const zoneStats = zoneFilter.getStats();
+      log(`Duplicates found:`, duplicates);
+      log(`Zone exclusions:`, zoneStats);
+      log(`Total links found: ${links.length}`);
 
       return {
         success: true,
         links: links,  // already an array with duplicates
         pageUrl: pageUrl,
+        pageTitle: doc.title || '',
         timestamp: new Date().toISOString(),
         totalFound: links.length,
-        duplicateStats: duplicates
+        duplicateStats: duplicates,
+        zoneStats: zoneStats
       };
 
     } catch (error) {
@@ -186,6 +355,321 @@ class ContentExtractor {
     }
   }
 
+  /* ----------------------------
+     link sources
+     - each source finds candidate URLs its own way: { element, href, selector, index, title? }
+     - settings.linkSources lists the enabled ids; candidates keep the id as link.source
+     ---------------------------- */
+  getLinkSources() {
+    return {
+      anchors: (settings, context) => this.findAnchorCandidates(settings, context),
+      embeds: (settings, context) => this.findEmbedCandidates(settings, context),
+      meta: (settings, context) => this.findMetaCandidates(settings, context),
+      jsonld: (settings, context) => this.findJsonLdCandidates(settings, context),
+      text: (settings, context) => this.findTextCandidates(settings, context)
+    };
+  }
+
+  collectCandidates(settings, context) {
+    const sources = this.getLinkSources();
+    // Profiles saved before sources existed only knew about anchors
+    const enabled = settings.linkSources || ['anchors'];
+    const candidates = [];
+
+    // Registry order, not settings order: anchors first so their URLs win over repeats
+    Object.entries(sources).forEach(([id, find]) => {
+      if (!enabled.includes(id)) return;
+      try {
+        const found = find(settings, context);
+        context.log(`Source "${id}": found ${found.length} candidates`);
+        found.forEach(candidate => candidates.push({ ...candidate, source: id }));
+      } catch (error) {
+        console.warn(`Error in link source "${id}":`, error);
+      }
+    });
+
+    return candidates;
+  }
+
+  // a[href], link[href], data-href, data-download... whatever linkSelectors lists
+  findAnchorCandidates(settings, { roots, log }) {
+    const candidates = [];
+    (settings.linkSelectors || []).forEach(selector => {
+      try {
+        const elements = roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+
+        log(`Processing selector "${selector}": found ${elements.length} elements`);
+
+        elements.forEach((element, index) => {
+          const href = element.getAttribute('href') ||
+                      element.getAttribute('data-href') ||
+                      element.getAttribute('data-download');
+          candidates.push({ element, href, selector, index });
+        });
+      } catch (error) {
+        console.warn(`Error processing selector "${selector}":`, error);
+      }
+    });
+    return candidates;
+  }
+
+  // <embed src>, <object data>, <iframe src>; pdf.js viewers carry the document in ?file=
+  findEmbedCandidates(settings, { roots, pageUrl }) {
+    const candidates = [];
+    const attributes = { 'embed[src]': 'src', 'object[data]': 'data', 'iframe[src]': 'src' };
+
+    Object.entries(attributes).forEach(([selector, attribute]) => {
+      const elements = roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+      elements.forEach((element, index) => {
+        const href = element.getAttribute(attribute);
+        candidates.push({ element, href, selector, index });
+
+        const viewerFile = this.getViewerFileUrl(href, pageUrl);
+        if (viewerFile) {
+          candidates.push({ element, href: viewerFile, selector: `${selector} ?file=`, index });
+        }
+      });
+    });
+    return candidates;
+  }
+
+  // viewer.html?file=%2Fdocs%2Freport.pdf -> absolute URL of report.pdf (relative to the viewer)
+  getViewerFileUrl(href, pageUrl) {
+    if (!href) return null;
+    try {
+      const viewerUrl = new URL(href.trim(), pageUrl);
+      const file = viewerUrl.searchParams.get('file');
+      return file ? new URL(file, viewerUrl).toString() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // og:* URLs (og:url, og:video...) and Google Scholar's citation_pdf_url; head only, no shadow roots
+  findMetaCandidates(settings, { doc }) {
+    const candidates = [];
+    const citationTitle = doc.querySelector('meta[name="citation_title"]')?.getAttribute('content');
+    const ogTitle = doc.querySelector('meta[property="og:title"]')?.getAttribute('content');
+
+    doc.querySelectorAll('meta[content]').forEach((element, index) => {
+      const property = element.getAttribute('property') || element.getAttribute('name') || '';
+      if (property === 'citation_pdf_url') {
+        candidates.push({ element, href: element.getAttribute('content'), selector: 'meta[name="citation_pdf_url"]', index, title: citationTitle || '' });
+      } else if (property.startsWith('og:')) {
+        candidates.push({ element, href: element.getAttribute('content'), selector: `meta[property="${property}"]`, index, title: ogTitle || '' });
+      }
+    });
+    return candidates;
+  }
+
+  // schema.org JSON-LD: any object with a contentUrl (MediaObject, DigitalDocument, Dataset distributions...)
+  findJsonLdCandidates(settings, { doc }) {
+    const candidates = [];
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach((element, index) => {
+      let data;
+      try {
+        data = JSON.parse(element.textContent);
+      } catch (error) {
+        console.warn('Skipping invalid JSON-LD block:', error);
+        return;
+      }
+
+      const visit = (node) => {
+        if (Array.isArray(node)) {
+          node.forEach(visit);
+        } else if (node && typeof node === 'object') {
+          const contentUrls = Array.isArray(node.contentUrl) ? node.contentUrl : [node.contentUrl];
+          contentUrls.filter(url => typeof url === 'string').forEach(url => {
+            candidates.push({ element, href: url, selector: 'script[type="application/ld+json"] contentUrl', index, title: node.name || node.headline || '' });
+          });
+          Object.values(node).forEach(visit);
+        }
+      };
+      visit(data);
+    });
+    return candidates;
+  }
+
+  // Bare URLs written out in the page text; only ones ending in a configured extension
+  findTextCandidates(settings, { roots, doc }) {
+    const candidates = [];
+    const extensions = (settings.fileExtensions || []).join('|');
+    if (!extensions) return candidates;
+
+    const urlPattern = new RegExp(`https?://[^\\s"'<>()\\[\\]]+?\\.(?:${extensions})(?:\\?[^\\s"'<>()\\[\\]]*?)?(?=[\\s"'<>()\\[\\],;!]|[.:?]?$|[.:?]\\s)`, 'gi');
+    const skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA']);
+    let index = 0;
+
+    roots.forEach(root => {
+      const start = root === doc ? doc.body : root;
+      if (!start) return;
+
+      const walker = doc.createTreeWalker(start, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => skipTags.has(node.parentElement?.tagName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+      });
+
+      let node;
+      while ((node = walker.nextNode())) {
+        const matches = node.textContent.match(urlPattern);
+        if (!matches || !node.parentElement) continue;
+        // The surrounding paragraph would make a poor title, so text links go untitled
+        matches.forEach(href => candidates.push({ element: node.parentElement, href, selector: 'text', index: index++, title: '' }));
+      }
+    });
+    return candidates;
+  }
+
+  /* ----------------------------
+     include/exclude zones
+     - excludeZones: links inside any of these are dropped
+     - includeZones: if set, only links inside one of these are kept
+     ---------------------------- */
+  buildZoneFilter(settings, roots = [document]) {
+    const enabled = settings.zoneFilterEnabled !== false;
+    const excludeRules = enabled ? (settings.excludeZones || []) : [];
+    const includeRules = enabled ? (settings.includeZones || []) : [];
+
+    const excludeIndex = this.buildZoneIndex(excludeRules, roots);
+    const includeIndex = this.buildZoneIndex(includeRules, roots);
+    const excludeCache = new Map(); // element -> rule index or -1
+    const includeCache = new Map();
+    const excludedCounts = new Array(excludeRules.length).fill(0);
+    let outsideIncludeCount = 0;
+
+    return {
+      excludes: (element) => {
+        if (!enabled) return false;
+
+        const ruleIndex = this.findZoneRule(element, excludeIndex, excludeCache);
+        if (ruleIndex !== -1) {
+          excludedCounts[ruleIndex]++;
+          return true;
+        }
+
+        if (includeRules.length > 0 && this.findZoneRule(element, includeIndex, includeCache) === -1) {
+          outsideIncludeCount++;
+          return true;
+        }
+        return false;
+      },
+
+      getStats: () => {
+        const stats = excludeRules
+          .map((rule, i) => ({ rule: rule, type: 'exclude', excluded: excludedCounts[i] }))
+          .filter(stat => stat.excluded > 0);
+        if (outsideIncludeCount > 0) {
+          stats.push({ rule: includeRules.join(', '), type: 'include', excluded: outsideIncludeCount });
+        }
+        return stats;
+      }
+    };
+  }
+
+  // element -> index of the first rule that matched it
+  buildZoneIndex(rules, roots = [document]) {
+    const index = new Map();
+    rules.forEach((rule, ruleIndex) => {
+      try {
+        roots.forEach(root => root.querySelectorAll(rule).forEach(zone => {
+          if (!index.has(zone)) index.set(zone, ruleIndex);
+        }));
+      } catch (error) {
+        console.warn(`Invalid zone selector "${rule}":`, error);
+      }
+    });
+    return index;
+  }
+
+  findZoneRule(element, index, cache) {
+    if (index.size === 0) return -1;
+
+    const visited = [];
+    const doc = element.ownerDocument;
+    let current = element;
+    let ruleIndex = -1;
+
+    // <body>/<html> never count as zones: a body class like "has-footer" would hide every link
+    while (current && current !== doc.body && current !== doc.documentElement) {
+      if (cache.has(current)) {
+        ruleIndex = cache.get(current);
+        break;
+      }
+      visited.push(current);
+      if (index.has(current)) {
+        ruleIndex = index.get(current);
+        break;
+      }
+      // Step out of a shadow root to its host, so zones around a web component still apply
+      current = current.parentElement ||
+        (current.parentNode instanceof ShadowRoot ? current.parentNode.host : null);
+    }
+
+    visited.forEach(node => cache.set(node, ruleIndex));
+    return ruleIndex;
+  }
+
+  /* ----------------------------
+     shadow DOM + selector paths
+     ---------------------------- */
+  // The document plus every open shadow root inside it, nested ones included (closed roots can't be reached)
+  collectSearchRoots(doc) {
+    const roots = [doc];
+    for (let i = 0; i < roots.length; i++) {
+      roots[i].querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) roots.push(element.shadowRoot);
+      });
+    }
+    return roots;
+  }
+
+  // CSS path to the element; " >>> " marks the step from a shadow host into its shadow root
+  buildSelectorPath(element) {
+    const segments = [];
+    let steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      steps.unshift(this.describeSelectorStep(current));
+      const parent = current.parentNode;
+
+      // An id is unique within its tree, so this tree's part of the path can start there
+      if (current.id || !parent || parent.nodeType !== Node.ELEMENT_NODE) {
+        segments.unshift(steps.join(' > '));
+        steps = [];
+        const root = current.getRootNode();
+        current = root instanceof ShadowRoot ? root.host : null;
+      } else {
+        current = parent;
+      }
+    }
+
+    return segments.join(' >>> ');
+  }
+
+  describeSelectorStep(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${CSS.escape(element.id)}`;
+
+    let step = tag + Array.from(element.classList).slice(0, 2).map(name => `.${CSS.escape(name)}`).join('');
+    const parent = element.parentNode;
+    if (parent && parent.children) {
+      const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+      if (sameTag.length > 1) step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+    }
+    return step;
+  }
+
+  buildResolvePattern(source) {
+    if (!source) return null;
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      console.warn('Invalid resolve pattern, skipping extensionless links:', source, error);
+      return null;
+    }
+  }
+
   extractElementText(element) {
     // Get clean text content, avoiding script/style elements
     const clone = element.cloneNode(true);
@@ -201,7 +685,7 @@ class ContentExtractor {
 
   extractLinkMetadata(element, linkUrl) {
     try {
-      const urlObj = new URL(linkUrl, window.location.href);
+      const urlObj = new URL(linkUrl, element.baseURI);
       const pathname = urlObj.pathname;
       const filename = this.extractFilename(pathname, element);
       const extension = this.extractExtension(filename || pathname);
@@ -239,6 +723,10 @@ class ContentExtractor {
     const contentDisposition = element.getAttribute('data-filename');
     if (contentDisposition) return contentDisposition;
 
+    // <a download="Annual Report.pdf"> names the file the same way Content-Disposition would
+    const downloadName = (element.getAttribute('download') || '').trim();
+    if (downloadName) return downloadName;
+
     // Extract from pathname
     const pathParts = pathname.split('/');
     const lastPart = pathParts[pathParts.length - 1];
@@ -432,5 +920,7 @@ class ContentExtractor {
   }
 }
 
-// Initialize the content script
-new ContentExtractor();
\ No newline at end of file
+// Initialize the content script (extension pages such as offscreen.html create their own instance)
+if (location.protocol !== 'chrome-extension:') {
+  new ContentExtractor();
+}
\ No newline at end of file
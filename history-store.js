@@ -0,0 +1,165 @@
+// Extraction history for Document Link Extractor, kept in IndexedDB (storage.local would hit its quota)
+// - one record per run: { id, pageKey, pageUrl, pageTitle, source, createdAt, settings, pageStats, zoneStats, links }
+// - pageKey groups the runs of one page (or one crawl start URL) so runs can be compared
+// - "summaries" holds each run without its links, so listing runs doesn't load every link list
+// - usable from the popup and the service worker: it only needs the indexedDB global
+class HistoryStore {
+  constructor(dbName = 'doc-extractor-history') {
+    this.dbName = dbName;
+    this.maxRunsPerPage = 20;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+            runs.createIndex('pageKey', 'pageKey');
+            runs.createIndex('createdAt', 'createdAt');
+          }
+          if (event.oldVersion < 2) {
+            const summaries = db.createObjectStore('summaries', { keyPath: 'id' });
+            summaries.createIndex('pageKey', 'pageKey');
+            // Runs saved before summaries existed
+            request.transaction.objectStore('runs').openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (!cursor) return;
+              summaries.put(HistoryStore.summarize(cursor.value));
+              cursor.continue();
+            };
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // A failed open (private profile, disk full) shouldn't stick for the rest of the session
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  // Wraps one transaction over both stores; work(runs, summaries) may return an IDBRequest
+  // whose result is resolved
+  async transact(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['runs', 'summaries'], mode);
+      const request = work(tx.objectStore('runs'), tx.objectStore('summaries'));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+    });
+  }
+
+  async addRun(run) {
+    const record = { ...run, createdAt: run.createdAt || new Date().toISOString() };
+    const id = await this.transact('readwrite', (runs, summaries) => {
+      const request = runs.add(record);
+      request.onsuccess = () => summaries.put(HistoryStore.summarize({ ...record, id: request.result }));
+      return request;
+    });
+    await this.pruneRuns(run.pageKey);
+    return id;
+  }
+
+  getRun(id) {
+    return this.transact('readonly', runs => runs.get(id));
+  }
+
+  deleteRun(id) {
+    return this.transact('readwrite', (runs, summaries) => {
+      summaries.delete(id);
+      return runs.delete(id);
+    });
+  }
+
+  // Newest first, read from the summaries so no link list is loaded
+  async listRuns({ pageKey = null, limit = 50 } = {}) {
+    const summaries = await this.transact('readonly', (runs, summaryStore) =>
+      (pageKey ? summaryStore.index('pageKey').getAll(pageKey) : summaryStore.getAll()));
+    return summaries
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit);
+  }
+
+  // The run of the same page just before beforeId (or the latest one)
+  async getPreviousRun(pageKey, beforeId = Infinity) {
+    const ids = await this.transact('readonly', runs => runs.index('pageKey').getAllKeys(pageKey));
+    const previousId = ids.filter(id => id < beforeId).sort((a, b) => b - a)[0];
+    return previousId !== undefined ? this.getRun(previousId) : null;
+  }
+
+  async pruneRuns(pageKey) {
+    const ids = await this.transact('readonly', runs => runs.index('pageKey').getAllKeys(pageKey));
+    const stale = ids.sort((a, b) => b - a).slice(this.maxRunsPerPage);
+    if (stale.length === 0) return;
+    await this.transact('readwrite', (runs, summaries) => {
+      stale.forEach(id => {
+        runs.delete(id);
+        summaries.delete(id);
+      });
+      return null;
+    });
+  }
+
+  static summarize({ links, ...summary }) {
+    return { ...summary, linkCount: (links || []).length };
+  }
+
+  /* ----------------------------
+     diff
+     - keyed on urlNormalized; duplicate rows of one URL count once
+     - "changed" means the title or the known size differs
+     ---------------------------- */
+  static diffRuns(olderLinks, newerLinks) {
+    const byUrl = (links) => {
+      const map = new Map();
+      links.forEach(link => {
+        const key = link.urlNormalized || link.url;
+        if (!map.has(key)) map.set(key, link);
+      });
+      return map;
+    };
+
+    const older = byUrl(olderLinks || []);
+    const newer = byUrl(newerLinks || []);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    newer.forEach((link, key) => {
+      const previous = older.get(key);
+      if (!previous) {
+        added.push(link);
+        return;
+      }
+
+      const changes = [];
+      if ((previous.title || '') !== (link.title || '')) {
+        changes.push({ field: 'title', before: previous.title || '', after: link.title || '' });
+      }
+      // An unknown size on either side isn't a change, just missing data
+      const beforeSize = HistoryStore.linkSize(previous);
+      const afterSize = HistoryStore.linkSize(link);
+      if (beforeSize && afterSize && beforeSize !== afterSize) {
+        changes.push({ field: 'size', before: beforeSize, after: afterSize });
+      }
+      if (changes.length > 0) changed.push({ link: link, previous: previous, changes: changes });
+    });
+
+    older.forEach((link, key) => {
+      if (!newer.has(key)) removed.push(link);
+    });
+
+    return { added, removed, changed };
+  }
+
+  // Same rule as the popup's getLinkSize
+  static linkSize(link) {
+    return link.probedSize || link.estimatedSize || 0;
+  }
+}
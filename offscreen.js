@@ -0,0 +1,171 @@
+// Offscreen document for Document Link Extractor
+// Service workers have no DOMParser, so the crawler sends fetched HTML here and gets back
+// the same result the content script would produce on the live page
+class OffscreenParser {
+  constructor() {
+    this.extractor = new ContentExtractor({ listen: false });
+    this.setupMessageListener();
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Popup messages meant for the background reach this page too
+      if (request.target !== 'offscreen') return;
+
+      if (request.action === 'parsePage') {
+        this.parsePage(request.html, request.url, request.settings)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+    });
+  }
+
+  async parsePage(html, url, settings) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    this.setBaseUrl(doc, url);
+
+    const result = await this.extractor.extractDocumentLinks(settings, url, doc);
+    return { ...result, pageLinks: this.collectPageLinks(doc) };
+  }
+
+  // Relative hrefs must resolve against the crawled page, not this extension page
+  setBaseUrl(doc, url) {
+    let base = doc.querySelector('base[href]');
+    const href = base ? base.getAttribute('href') : url;
+
+    if (!base) {
+      base = doc.createElement('base');
+      doc.head.prepend(base);
+    }
+    try {
+      base.href = new URL(href, url).href;
+    } catch (error) {
+      base.href = url;
+    }
+  }
+
+  // Every http(s) link on the page; the crawler decides which ones are in scope
+  collectPageLinks(doc) {
+    const urls = new Set();
+    doc.querySelectorAll('a[href], area[href]').forEach(element => {
+      const href = element.getAttribute('href').trim();
+      if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return;
+
+      try {
+        const url = new URL(href, doc.baseURI);
+        url.hash = '';
+        if (url.protocol === 'http:' || url.protocol === 'https:') urls.add(url.href);
+      } catch (error) {
+        // Malformed href; nothing to follow
+      }
+    });
+    return Array.from(urls);
+  }
+}
+
+// ZIP bundles are built here rather than in the popup: closing the popup would lose the job,
+// and a document can hand the finished archive to chrome.downloads as a blob: URL
+class OffscreenZipBuilder {
+  constructor() {
+    this.url = null;
+    this.progressIntervalMs = 1000;
+    this.lastProgressAt = 0;
+    this.setupMessageListener();
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request.target !== 'offscreen') return;
+
+      if (request.action === 'buildZip') {
+        this.build(request.files || [], request.extras || [], request.manifest || {})
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      } else if (request.action === 'releaseZip') {
+        this.revoke();
+        sendResponse({ success: true });
+      }
+    });
+  }
+
+  // files: [{ url, path, pageUrl, filename, compress }], fetched and streamed in one at a time
+  // extras: [{ name, text | dataUrl, compress }], added after the files (the export)
+  async build(files, extras, manifest) {
+    this.revoke();
+    const zip = new ZipWriter();
+    const added = [];
+    const failed = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      this.reportProgress(i, files.length, file.path, 0, true);
+
+      try {
+        const response = await fetch(file.url, { credentials: 'include' });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const hash = new Sha256();
+        let received = 0;
+        const entry = await zip.addStream(file.path, response.body, {
+          compress: file.compress,
+          onChunk: bytes => {
+            hash.update(bytes);
+            received += bytes.length;
+            this.reportProgress(i, files.length, file.path, received);
+          }
+        });
+
+        added.push({
+          path: file.path,
+          sourceUrl: file.url,
+          pageUrl: file.pageUrl,
+          filename: file.filename,
+          size: entry.size,
+          sha256: hash.hex(),
+          contentType: response.headers.get('content-type') || ''
+        });
+      } catch (error) {
+        console.error(`Failed to add ${file.url} to ZIP:`, error);
+        failed.push({ sourceUrl: file.url, filename: file.filename, error: error.message });
+      }
+    }
+    this.reportProgress(files.length, files.length, '', 0, true);
+
+    for (const extra of extras) {
+      const content = extra.dataUrl ? await (await fetch(extra.dataUrl)).arrayBuffer() : extra.text;
+      await zip.addFile(extra.name, content, { compress: extra.compress });
+    }
+
+    const fullManifest = { ...manifest, totalFiles: added.length, files: added, failed: failed };
+    await zip.addFile('manifest.json', JSON.stringify(fullManifest, null, 2), { compress: true });
+
+    this.url = URL.createObjectURL(zip.finish());
+    return { url: this.url, files: added.length, failed: failed.length };
+  }
+
+  // Throttled: a large file reports every chunk, which also keeps the worker awake
+  reportProgress(done, total, current, bytes, force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastProgressAt < this.progressIntervalMs) return;
+    this.lastProgressAt = now;
+    chrome.runtime.sendMessage({
+      action: 'zipProgress',
+      done: done,
+      total: total,
+      current: current,
+      bytes: bytes
+    }).catch(() => {});
+  }
+
+  revoke() {
+    if (this.url) URL.revokeObjectURL(this.url);
+    this.url = null;
+  }
+}
+
+new OffscreenParser();
+new OffscreenZipBuilder();
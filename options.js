@@ -0,0 +1,398 @@
+// Options page for Document Link Extractor: settings export/import
+class OptionsPage {
+  constructor() {
+    this.pendingImport = null;   // validated + migrated { sync, local } waiting for "Apply"
+    this.currentData = null;     // what's stored now, for the preview
+    // storage.local keys holding per-site data worth sharing (transient state like downloadJob isn't)
+    this.localKeyPrefixes = ['linkEdits:'];
+    this.localKeys = ['pageMonitors'];
+    this.initializeElements();
+    this.attachEventListeners();
+  }
+
+  initializeElements() {
+    this.exportBtn = document.getElementById('exportSettingsBtn');
+    this.importFileInput = document.getElementById('importFile');
+    this.importModeInputs = document.querySelectorAll('input[name="importMode"]');
+    this.importPreviewDiv = document.getElementById('importPreview');
+    this.applyImportBtn = document.getElementById('applyImportBtn');
+    this.messageDiv = document.getElementById('optionsMessage');
+  }
+
+  attachEventListeners() {
+    this.exportBtn.addEventListener('click', () => this.exportSettings());
+    this.importFileInput.addEventListener('change', () => this.readImportFile());
+    this.importModeInputs.forEach(input => input.addEventListener('change', () => this.renderPreview()));
+    this.applyImportBtn.addEventListener('click', () => this.applyImport());
+  }
+
+  getImportMode() {
+    const checked = Array.from(this.importModeInputs).find(input => input.checked);
+    return checked ? checked.value : 'merge';
+  }
+
+  showMessage(message, isError = false) {
+    this.messageDiv.textContent = message;
+    this.messageDiv.classList.toggle('error', isError);
+    this.messageDiv.classList.remove('hidden');
+  }
+
+  /* ----------------------------
+     export
+     ---------------------------- */
+  async readStoredData() {
+    const sync = await chrome.storage.sync.get(null);
+    const local = await chrome.storage.local.get(null);
+    return { sync: sync, local: this.pickSharedLocalData(local) };
+  }
+
+  pickSharedLocalData(local) {
+    const picked = {};
+    Object.keys(local).forEach(key => {
+      if (this.isSharedLocalKey(key)) {
+        picked[key] = local[key];
+      }
+    });
+    return picked;
+  }
+
+  isSharedLocalKey(key) {
+    return this.localKeys.includes(key) || this.localKeyPrefixes.some(prefix => key.startsWith(prefix));
+  }
+
+  async exportSettings() {
+    try {
+      // Makes sure stored settings are in the current shape and tells us which version that is
+      const response = await chrome.runtime.sendMessage({ action: 'ensureProfiles' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not read settings');
+      }
+
+      const stored = await this.readStoredData();
+      const payload = {
+        format: 'doc-downloader-settings',
+        version: response.version,
+        exportedAt: new Date().toISOString(),
+        sync: stored.sync,
+        local: stored.local
+      };
+
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+      const date = new Date().toISOString().slice(0, 10);
+      await chrome.downloads.download({
+        url: URL.createObjectURL(blob),
+        filename: `doc-downloader-settings-${date}.json`,
+        saveAs: true
+      });
+
+      const profileCount = (stored.sync.profileIds || []).length;
+      const templateCount = (stored.sync.snippetTemplateIds || []).length;
+      this.showMessage(`Exported ${profileCount} profiles, ${templateCount} snippet templates and ${Object.keys(stored.local).length} per-site entries.`);
+    } catch (error) {
+      console.error('Error exporting settings:', error);
+      this.showMessage(`Export error: ${error.message}`, true);
+    }
+  }
+
+  /* ----------------------------
+     import: parse -> migrate -> validate -> preview -> apply
+     ---------------------------- */
+  async readImportFile() {
+    this.pendingImport = null;
+    this.applyImportBtn.disabled = true;
+    this.importPreviewDiv.classList.add('hidden');
+    this.messageDiv.classList.add('hidden');
+
+    const file = this.importFileInput.files[0];
+    if (!file) return;
+
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error('The file is not valid JSON');
+      }
+
+      if (!parsed || typeof parsed !== 'object' || parsed.format !== 'doc-downloader-settings') {
+        throw new Error('This is not a Doc Dowloader settings file');
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'migrateSettingsData', data: parsed });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not migrate settings');
+      }
+
+      const { errors, warnings, data } = this.validateSettingsData(response.data, response.defaults);
+      if (errors.length > 0) {
+        throw new Error(`Invalid settings file:\n- ${errors.join('\n- ')}`);
+      }
+
+      this.pendingImport = data;
+      this.pendingWarnings = warnings;
+      if (parsed.version !== response.version) {
+        this.pendingWarnings.unshift(`File was upgraded from settings version ${parsed.version || 1} to ${response.version}`);
+      }
+
+      this.currentData = await this.readStoredData();
+      this.renderPreview();
+      this.applyImportBtn.disabled = false;
+    } catch (error) {
+      console.error('Error reading settings file:', error);
+      this.showMessage(error.message, true);
+    }
+  }
+
+  // Returns the importable subset of data plus any problems found
+  validateSettingsData(data, defaults) {
+    const errors = [];
+    const warnings = [];
+    const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    const clean = { sync: {}, local: {} };
+
+    if (!isObject(data.sync)) {
+      return { errors: ['"sync" must be an object'], warnings: warnings, data: clean };
+    }
+    if (data.local !== undefined && !isObject(data.local)) {
+      errors.push('"local" must be an object');
+    }
+
+    const profileIds = data.sync.profileIds;
+    if (!Array.isArray(profileIds) || !profileIds.every(id => typeof id === 'string' && id)) {
+      errors.push('"profileIds" must be a list of profile ids');
+    } else {
+      clean.sync.profileIds = [];
+      profileIds.forEach(id => {
+        const profile = data.sync[`profile:${id}`];
+        const label = profile && profile.name ? profile.name : id;
+
+        if (!isObject(profile)) {
+          errors.push(`Profile "${id}" is listed but missing`);
+          return;
+        }
+        if (profile.id !== id) errors.push(`Profile "${label}" has id "${profile.id}", expected "${id}"`);
+        if (typeof profile.name !== 'string') errors.push(`Profile "${id}" needs a name`);
+        if (profile.match !== undefined && typeof profile.match !== 'string') {
+          errors.push(`Profile "${label}": "match" must be text`);
+        }
+        if (!isObject(profile.settings)) {
+          errors.push(`Profile "${label}" has no settings`);
+          return;
+        }
+
+        Object.entries(profile.settings).forEach(([key, value]) => {
+          if (!(key in defaults)) {
+            warnings.push(`Profile "${label}": unknown setting "${key}" is kept as-is`);
+            return;
+          }
+          const expected = typeof defaults[key];
+          // Number inputs are stored as text by the popup form
+          const numericText = expected === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(value);
+          if (typeof value !== expected && !numericText) {
+            errors.push(`Profile "${label}": "${key}" should be a ${expected}`);
+          }
+        });
+
+        clean.sync.profileIds.push(id);
+        clean.sync[`profile:${id}`] = profile;
+      });
+    }
+
+    const templateIds = data.sync.snippetTemplateIds;
+    if (templateIds !== undefined) {
+      if (!Array.isArray(templateIds) || !templateIds.every(id => typeof id === 'string' && id)) {
+        errors.push('"snippetTemplateIds" must be a list of template ids');
+      } else {
+        clean.sync.snippetTemplateIds = [];
+        templateIds.forEach(id => {
+          const template = data.sync[`template:${id}`];
+          if (!isObject(template)) {
+            errors.push(`Snippet template "${id}" is listed but missing`);
+            return;
+          }
+          if (template.id !== id || typeof template.name !== 'string' || typeof template.body !== 'string') {
+            errors.push(`Snippet template "${template.name || id}" needs a matching id, a name and a body`);
+            return;
+          }
+          clean.sync.snippetTemplateIds.push(id);
+          clean.sync[`template:${id}`] = template;
+        });
+      }
+    }
+
+    const zoneHosts = data.sync.zoneOverrideHosts;
+    if (zoneHosts !== undefined) {
+      if (!Array.isArray(zoneHosts) || !zoneHosts.every(host => typeof host === 'string' && host)) {
+        errors.push('"zoneOverrideHosts" must be a list of hostnames');
+      } else {
+        clean.sync.zoneOverrideHosts = [];
+        zoneHosts.forEach(host => {
+          const zones = data.sync[`zoneOverride:${host}`];
+          if (!isObject(zones)) {
+            errors.push(`Site zones for ${host} are listed but missing`);
+            return;
+          }
+          clean.sync.zoneOverrideHosts.push(host);
+          clean.sync[`zoneOverride:${host}`] = zones;
+        });
+      }
+    }
+
+    Object.keys(data.sync).forEach(key => {
+      if (['profileIds', 'snippetTemplateIds', 'zoneOverrideHosts'].includes(key) || key in clean.sync) return;
+      if (key.startsWith('profile:')) {
+        warnings.push(`"${key}" is not in profileIds and is skipped`);
+      } else if (key.startsWith('template:')) {
+        warnings.push(`"${key}" is not in snippetTemplateIds and is skipped`);
+      } else if (key.startsWith('zoneOverride:')) {
+        warnings.push(`"${key}" is not in zoneOverrideHosts and is skipped`);
+      } else {
+        warnings.push(`Unknown setting "${key}" is skipped`);
+      }
+    });
+
+    Object.entries(isObject(data.local) ? data.local : {}).forEach(([key, value]) => {
+      if (!this.isSharedLocalKey(key)) {
+        warnings.push(`Unknown per-site entry "${key}" is skipped`);
+      } else if (!isObject(value)) {
+        errors.push(`Per-site entry "${key}" must be an object`);
+      } else if (key === 'pageMonitors' && !Object.values(value).every(monitor => isObject(monitor) && typeof monitor.url === 'string')) {
+        errors.push('"pageMonitors" must map ids to monitored pages with a url');
+      } else {
+        clean.local[key] = value;
+      }
+    });
+
+    return { errors: errors, warnings: warnings, data: clean };
+  }
+
+  // What the import would change, grouped as added / changed / removed
+  buildChanges(incoming, current, mode) {
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const describe = (key, value) => {
+      if (key.startsWith('profile:')) return `Profile "${value.name}"`;
+      if (key.startsWith('template:')) return `Snippet template "${value.name}"`;
+      if (key.startsWith('zoneOverride:')) return `Site zones for ${key.slice('zoneOverride:'.length)}`;
+      if (key.startsWith('linkEdits:')) return `Link edits for ${key.slice('linkEdits:'.length)}`;
+      if (key === 'pageMonitors') return `Monitored pages (${Object.keys(value || {}).length})`;
+      return key;
+    };
+
+    const compare = (incomingArea, currentArea, keys) => {
+      keys.forEach(key => {
+        if (!(key in currentArea)) {
+          changes.push({ type: 'added', label: describe(key, incomingArea[key]) });
+        } else if (!same(incomingArea[key], currentArea[key])) {
+          changes.push({ type: 'changed', label: describe(key, incomingArea[key]) });
+        }
+      });
+
+      if (mode === 'replace') {
+        this.findStaleKeys(incomingArea, currentArea)
+          .filter(key => key === 'pageMonitors' || ['profile:', 'template:', 'zoneOverride:', 'linkEdits:'].some(prefix => key.startsWith(prefix)))
+          // The default profile survives a replace (see applyImport)
+          .filter(key => key !== 'profile:default')
+          .forEach(key => changes.push({ type: 'removed', label: describe(key, currentArea[key]) }));
+      }
+    };
+
+    compare(incoming.sync, current.sync, Object.keys(incoming.sync).filter(key => ['profile:', 'template:', 'zoneOverride:'].some(prefix => key.startsWith(prefix))));
+    compare(incoming.local, current.local, Object.keys(incoming.local));
+
+    return changes;
+  }
+
+  // Stored keys a replace removes: everything the imported data doesn't have
+  findStaleKeys(incomingArea, currentArea) {
+    return Object.keys(currentArea).filter(key => !(key in incomingArea));
+  }
+
+  renderPreview() {
+    if (!this.pendingImport || !this.currentData) return;
+
+    const changes = this.buildChanges(this.pendingImport, this.currentData, this.getImportMode());
+    const listItems = changes.length > 0
+      ? changes.map(change => `<li class="preview-${change.type}">${change.type}: ${this.escapeHtml(change.label)}</li>`).join('')
+      : '<li>No changes: everything in the file matches your current settings.</li>';
+    const warnings = (this.pendingWarnings || [])
+      .map(warning => `<li>${this.escapeHtml(warning)}</li>`)
+      .join('');
+
+    this.importPreviewDiv.innerHTML = `
+      <div><strong>${changes.length}</strong> changes</div>
+      <ul class="preview-list">${listItems}</ul>
+      ${warnings ? `<div style="margin-top: 8px;">Notes:</div><ul class="preview-list">${warnings}</ul>` : ''}
+    `;
+    this.importPreviewDiv.classList.remove('hidden');
+  }
+
+  async applyImport() {
+    if (!this.pendingImport) return;
+
+    const mode = this.getImportMode();
+    const incoming = this.pendingImport;
+
+    try {
+      const current = await this.readStoredData();
+
+      if (mode === 'replace') {
+        const sync = { ...incoming.sync, zoneOverrideHosts: incoming.sync.zoneOverrideHosts || [] };
+        const profileIds = Array.isArray(sync.profileIds) ? sync.profileIds : [];
+        sync.profileIds = profileIds;
+        if (!profileIds.includes('default') && current.sync['profile:default']) {
+          sync.profileIds = ['default', ...profileIds];
+          sync['profile:default'] = current.sync['profile:default'];
+        }
+
+        // Write first, then drop what the file doesn't have: a failed write (quota) leaves
+        // the current settings as they were
+        await chrome.storage.sync.set(sync);
+        await chrome.storage.sync.remove(this.findStaleKeys(sync, current.sync));
+        await chrome.storage.local.set(incoming.local);
+        await chrome.storage.local.remove(this.findStaleKeys(incoming.local, current.local));
+      } else {
+        const sync = {
+          ...incoming.sync,
+          profileIds: [...new Set([...(current.sync.profileIds || []), ...(incoming.sync.profileIds || [])])],
+          snippetTemplateIds: [...new Set([...(current.sync.snippetTemplateIds || []), ...(incoming.sync.snippetTemplateIds || [])])],
+          zoneOverrideHosts: [...new Set([...(current.sync.zoneOverrideHosts || []), ...(incoming.sync.zoneOverrideHosts || [])])]
+        };
+
+        const local = {};
+        Object.entries(incoming.local).forEach(([key, value]) => {
+          local[key] = { ...(current.local[key] || {}), ...value };
+        });
+
+        await chrome.storage.sync.set(sync);
+        await chrome.storage.local.set(local);
+      }
+
+      // Monitors run on alarms in the worker; have it schedule the imported ones
+      await chrome.runtime.sendMessage({ action: 'reloadPageMonitors' });
+
+      this.showMessage(`Import applied (${mode}). Reopen the popup to use the new settings.`);
+      this.pendingImport = null;
+      this.applyImportBtn.disabled = true;
+      this.importPreviewDiv.classList.add('hidden');
+      this.importFileInput.value = '';
+    } catch (error) {
+      console.error('Error applying import:', error);
+      this.showMessage(`Import error: ${error.message}`, true);
+    }
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsPage();
+});
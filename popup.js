@@ -1,81 +1,714 @@
 class DocumentExtractor {
   constructor() {
     this.extractedLinks = [];
+    this.selectedIds = new Set();
+    this.editingIds = new Set();
+    this.downloadJobActive = false;
+    this.zipJobActive = false;
+    this.zipWarnBytes = 1024 * 1024 * 1024;  // ask before zipping more than this
+    this.zipMaxBytes = 0xFFFFFFFF;           // no ZIP64
+    this.sortState = { field: null, direction: 'asc' };
     this.currentTabId = null;
+    this.currentUrl = '';
+    this.currentHost = '';
+    this.profiles = [];
+    this.activeProfile = null;
+    this.profileAutoMatched = false;
+    this.saveTimer = null;
+    this.globalZoneSettings = null;
+    this.zoneOverrides = {};
+    this.zoneStats = [];
+    this.pageStats = [];
+    this.crawlStatus = null;
+    this.watchState = null;
+    this.urlNormalizer = new UrlNormalizer();     // rebuilt from the profile, see refreshUrlNormalization()
+    this.basicUrlNormalizer = new UrlNormalizer(); // no optional rules: pages, and explaining merges
+    this.historyStore = new HistoryStore();
+    this.currentRun = null;   // { id, pageKey } of the results on screen, once saved to history
+    this.lastDiff = null;
+    this.monitors = [];
+    this.validating = false;
+    this.hashing = false;
+    this.monitorFormTouched = false; // keep the user's interval choice when the list refreshes
+    this.snippetTemplates = []; // saved templates; built-ins come from getBuiltinSnippetTemplates()
+    this.templateSaveTimer = null;
     this.initializeElements();
     this.loadSettings();
     this.attachEventListeners();
+    this.loadDownloadJob();
+    this.loadCrawlJob();
+    this.loadZipJob();
+    this.loadWatchState();
+    this.loadNetworkCapture();
   }
 
   initializeElements() {
     // Form elements
     this.innerContentInput = document.getElementById('innerContent');
     this.makeAbsoluteInput = document.getElementById('makeAbsolute');
+    this.probeSizesInput = document.getElementById('probeSizes');
+    this.hashContentsInput = document.getElementById('hashContents');
     this.mediaPrefixXlsxInput = document.getElementById('mediaPrefixXlsx');
     this.mediaPrefixHtmlInput = document.getElementById('mediaPrefixHtml');
+    this.mediaRewriteRulesInput = document.getElementById('mediaRewriteRules');
+    this.mediaRewriteMatchCaseInput = document.getElementById('mediaRewriteMatchCase');
+    this.mediaRewriteErrorsDiv = document.getElementById('mediaRewriteErrors');
+    this.snippetTemplateSelect = document.getElementById('snippetTemplate');
+    this.saveTemplateAsBtn = document.getElementById('saveTemplateAsBtn');
+    this.deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+    this.snippetTemplateNameInput = document.getElementById('snippetTemplateName');
+    this.snippetTemplateBodyInput = document.getElementById('snippetTemplateBody');
+    this.snippetTemplateInfo = document.getElementById('snippetTemplateInfo');
+    this.snippetTemplateErrorDiv = document.getElementById('snippetTemplateError');
+    this.snippetPreviewFrame = document.getElementById('snippetPreview');
+    this.exportFormatSelect = document.getElementById('exportFormat');
+    this.exportColumnsInput = document.getElementById('exportColumns');
+    this.exportColumnsDiv = document.getElementById('exportColumnsList');
+    this.exportSaveAsInput = document.getElementById('exportSaveAs');
     this.fileExtensionsInput = document.getElementById('fileExtensions');
     this.linkSelectorsInput = document.getElementById('linkSelectors');
+    this.sourceAnchorsInput = document.getElementById('sourceAnchors');
+    this.sourceEmbedsInput = document.getElementById('sourceEmbeds');
+    this.sourceMetaInput = document.getElementById('sourceMeta');
+    this.sourceJsonLdInput = document.getElementById('sourceJsonLd');
+    this.sourceTextInput = document.getElementById('sourceText');
+    this.resolveUnknownInput = document.getElementById('resolveUnknown');
+    this.resolvePatternInput = document.getElementById('resolvePattern');
+    this.urlStripParamsInput = document.getElementById('urlStripParams');
+    this.urlKeepParamsInput = document.getElementById('urlKeepParams');
+    this.urlIgnoreSchemeInput = document.getElementById('urlIgnoreScheme');
+    this.urlIgnoreWwwInput = document.getElementById('urlIgnoreWww');
+    this.urlHostAliasesInput = document.getElementById('urlHostAliases');
+    this.urlStripIndexInput = document.getElementById('urlStripIndex');
+    this.urlFoldPathCaseInput = document.getElementById('urlFoldPathCase');
+    this.downloadConcurrencyInput = document.getElementById('downloadConcurrency');
+    this.downloadRetriesInput = document.getElementById('downloadRetries');
+    this.filenameTemplateInput = document.getElementById('filenameTemplate');
+    this.crawlDepthInput = document.getElementById('crawlDepth');
+    this.crawlMaxPagesInput = document.getElementById('crawlMaxPages');
+    this.crawlDelayMsInput = document.getElementById('crawlDelayMs');
+    this.crawlPathPrefixInput = document.getElementById('crawlPathPrefix');
+    this.crawlIncludeInput = document.getElementById('crawlInclude');
+    this.crawlExcludeInput = document.getElementById('crawlExclude');
+    this.zoneFilterEnabledInput = document.getElementById('zoneFilterEnabled');
+    this.zoneSiteOverrideInput = document.getElementById('zoneSiteOverride');
+    this.zoneSiteHostSpan = document.getElementById('zoneSiteHost');
+    this.excludeZonesInput = document.getElementById('excludeZones');
+    this.includeZonesInput = document.getElementById('includeZones');
+
+    // Profiles
+    this.profileSelect = document.getElementById('profileSelect');
+    this.newProfileBtn = document.getElementById('newProfileBtn');
+    this.duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+    this.deleteProfileBtn = document.getElementById('deleteProfileBtn');
+    this.openOptionsBtn = document.getElementById('openOptionsBtn');
+    this.profileNameInput = document.getElementById('profileName');
+    this.profileMatchInput = document.getElementById('profileMatch');
+    this.profileInfo = document.getElementById('profileInfo');
+
+    // Profile-scoped settings (zone inputs are handled separately, see loadZoneSettings)
+    this.settingFields = {
+      innerContent: this.innerContentInput,
+      makeAbsolute: this.makeAbsoluteInput,
+      probeSizes: this.probeSizesInput,
+      hashContents: this.hashContentsInput,
+      mediaPrefixXlsx: this.mediaPrefixXlsxInput,
+      mediaPrefixHtml: this.mediaPrefixHtmlInput,
+      mediaRewriteRules: this.mediaRewriteRulesInput,
+      mediaRewriteMatchCase: this.mediaRewriteMatchCaseInput,
+      snippetTemplate: this.snippetTemplateSelect,
+      exportFormat: this.exportFormatSelect,
+      exportColumns: this.exportColumnsInput,
+      exportSaveAs: this.exportSaveAsInput,
+      fileExtensions: this.fileExtensionsInput,
+      linkSelectors: this.linkSelectorsInput,
+      sourceAnchors: this.sourceAnchorsInput,
+      sourceEmbeds: this.sourceEmbedsInput,
+      sourceMeta: this.sourceMetaInput,
+      sourceJsonLd: this.sourceJsonLdInput,
+      sourceText: this.sourceTextInput,
+      resolveUnknown: this.resolveUnknownInput,
+      resolvePattern: this.resolvePatternInput,
+      urlStripParams: this.urlStripParamsInput,
+      urlKeepParams: this.urlKeepParamsInput,
+      urlIgnoreScheme: this.urlIgnoreSchemeInput,
+      urlIgnoreWww: this.urlIgnoreWwwInput,
+      urlHostAliases: this.urlHostAliasesInput,
+      urlStripIndex: this.urlStripIndexInput,
+      urlFoldPathCase: this.urlFoldPathCaseInput,
+      downloadConcurrency: this.downloadConcurrencyInput,
+      downloadRetries: this.downloadRetriesInput,
+      filenameTemplate: this.filenameTemplateInput,
+      crawlDepth: this.crawlDepthInput,
+      crawlMaxPages: this.crawlMaxPagesInput,
+      crawlDelayMs: this.crawlDelayMsInput,
+      crawlPathPrefix: this.crawlPathPrefixInput,
+      crawlInclude: this.crawlIncludeInput,
+      crawlExclude: this.crawlExcludeInput
+    };
+
+    // Pages (batch extraction)
+    this.extractScopeSelect = document.getElementById('extractScope');
+    this.tabPickerDiv = document.getElementById('tabPicker');
+    this.crawlOptionsDiv = document.getElementById('crawlOptions');
 
     // Buttons
     this.extractBtn = document.getElementById('extractBtn');
+    this.watchBtn = document.getElementById('watchBtn');
+    this.watchResultsBtn = document.getElementById('watchResultsBtn');
+    this.captureBtn = document.getElementById('captureBtn');
     this.downloadBtn = document.getElementById('downloadBtn');
+    this.zipBtn = document.getElementById('zipBtn');
     this.exportBtn = document.getElementById('exportBtn');
+    this.copyBtn = document.getElementById('copyBtn');
+    this.validateBtn = document.getElementById('validateBtn');
+    this.historyBtn = document.getElementById('historyBtn');
+    this.monitorBtn = document.getElementById('monitorBtn');
+    this.compareLastBtn = document.getElementById('compareLastBtn');
+
+    // Page monitoring
+    this.monitorsDiv = document.getElementById('monitors');
+    this.monitorIntervalSelect = document.getElementById('monitorInterval');
+    this.monitorAutoDownloadInput = document.getElementById('monitorAutoDownload');
+    this.monitorAddBtn = document.getElementById('monitorAddBtn');
+    this.monitorListDiv = document.getElementById('monitorList');
+
+    // History
+    this.historyDiv = document.getElementById('history');
+    this.historyAllPagesInput = document.getElementById('historyAllPages');
+    this.historyListDiv = document.getElementById('historyList');
+    this.historyDiffDiv = document.getElementById('historyDiff');
 
     // Results
     this.resultsDiv = document.getElementById('results');
     this.summaryDiv = document.getElementById('summary');
+    this.validationReportDiv = document.getElementById('validationReport');
     this.linksListDiv = document.getElementById('linksList');
+    this.filterTextInput = document.getElementById('filterText');
+    this.filterExtensionSelect = document.getElementById('filterExtension');
+    this.filterDuplicateSelect = document.getElementById('filterDuplicate');
+    this.filterMinSizeInput = document.getElementById('filterMinSize');
+    this.filterMaxSizeInput = document.getElementById('filterMaxSize');
+    this.selectAllBtn = document.getElementById('selectAllBtn');
+    this.selectNoneBtn = document.getElementById('selectNoneBtn');
+    this.selectionCountSpan = document.getElementById('selectionCount');
+    this.sortBar = document.getElementById('sortBar');
     this.statusDiv = document.getElementById('status');
     this.statusText = document.getElementById('statusText');
+
+    // Download queue
+    this.downloadJobDiv = document.getElementById('downloadJob');
+    this.jobSummaryDiv = document.getElementById('jobSummary');
+    this.jobListDiv = document.getElementById('jobList');
+    this.pauseJobBtn = document.getElementById('pauseJobBtn');
+    this.resumeJobBtn = document.getElementById('resumeJobBtn');
+    this.cancelJobBtn = document.getElementById('cancelJobBtn');
+    this.clearJobBtn = document.getElementById('clearJobBtn');
+
+    // Site crawl
+    this.crawlJobDiv = document.getElementById('crawlJob');
+    this.crawlSummaryDiv = document.getElementById('crawlSummary');
+    this.crawlProgressBar = document.getElementById('crawlProgressBar');
+    this.cancelCrawlBtn = document.getElementById('cancelCrawlBtn');
+    this.showCrawlBtn = document.getElementById('showCrawlBtn');
+    this.crawlLogBtn = document.getElementById('crawlLogBtn');
+    this.clearCrawlBtn = document.getElementById('clearCrawlBtn');
+
+    // Built-in templates and the default columns must be in place before the form defaults are read
+    this.renderSnippetTemplateOptions();
+    this.exportColumnsInput.value = this.getDefaultExportColumnIds().join(',');
+
+    // The markup's initial values double as defaults for new profiles and missing keys
+    this.formDefaults = {
+      ...this.readSettingsFromForm(),
+      ...this.getZoneInputValues()
+    };
+  }
+
+  /* ----------------------------
+     settings + per-domain profiles
+     - every profile lives under its own sync key (profile:<id>) to stay under the per-item quota,
+       and so does every site's zone override (zoneOverride:<host>, listed in zoneOverrideHosts)
+     - the first profile whose match patterns fit the current URL loads automatically
+     ---------------------------- */
+  readSettingsFromForm() {
+    const values = {};
+    Object.entries(this.settingFields).forEach(([key, input]) => {
+      values[key] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return values;
+  }
+
+  applySettingsToForm(settings) {
+    Object.entries(this.settingFields).forEach(([key, input]) => {
+      const value = settings[key] !== undefined ? settings[key] : this.formDefaults[key];
+      if (input.type === 'checkbox') {
+        input.checked = value === true;
+      } else {
+        input.value = value;
+      }
+    });
   }
 
   async loadSettings() {
     try {
-      const settings = await chrome.storage.sync.get([
-        'innerContent', 'makeAbsolute', 'mediaPrefixXlsx', 
-        'mediaPrefixHtml', 'fileExtensions', 'linkSelectors'
+      // Creates the Default profile (or migrates pre-profile settings) if needed
+      await chrome.runtime.sendMessage({ action: 'ensureProfiles' });
+
+      const tab = await this.getCurrentTab();
+      this.currentUrl = tab.url || '';
+
+      await this.loadSnippetTemplates();
+
+      const { profileIds = [], zoneOverrideHosts = [] } = await chrome.storage.sync.get(['profileIds', 'zoneOverrideHosts']);
+      const stored = await chrome.storage.sync.get([
+        ...profileIds.map(id => `profile:${id}`),
+        ...zoneOverrideHosts.map(host => `zoneOverride:${host}`)
       ]);
+      this.profiles = profileIds.map(id => stored[`profile:${id}`]).filter(Boolean);
+      this.zoneOverrides = {};
+      zoneOverrideHosts.forEach(host => {
+        if (stored[`zoneOverride:${host}`]) this.zoneOverrides[host] = stored[`zoneOverride:${host}`];
+      });
 
-      // Apply saved settings or defaults
-      this.innerContentInput.checked = settings.innerContent !== false;
-      this.makeAbsoluteInput.checked = settings.makeAbsolute !== false;
-      
-      if (settings.mediaPrefixXlsx) this.mediaPrefixXlsxInput.value = settings.mediaPrefixXlsx;
-      if (settings.mediaPrefixHtml) this.mediaPrefixHtmlInput.value = settings.mediaPrefixHtml;
-      if (settings.fileExtensions) this.fileExtensionsInput.value = settings.fileExtensions;
-      if (settings.linkSelectors) this.linkSelectorsInput.value = settings.linkSelectors;
+      if (this.profiles.length === 0) {
+        this.profiles = [{ id: 'default', name: 'Default', match: '', settings: { ...this.formDefaults } }];
+      }
+
+      const matched = this.findMatchingProfile(this.currentUrl);
+      this.profileAutoMatched = !!matched;
+      await this.activateProfile(matched || this.profiles.find(p => p.id === 'default') || this.profiles[0]);
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   }
 
-  async saveSettings() {
+  async activateProfile(profile) {
+    this.activeProfile = profile;
+    this.applySettingsToForm(profile.settings || {});
+    await this.loadZoneSettings(profile.settings || {});
+    this.renderProfileControls();
+    this.refreshMediaRewrite();
+    this.refreshUrlNormalization();
+    this.renderSnippetEditor();
+    this.renderExportColumns();
+  }
+
+  findMatchingProfile(url) {
+    let best = null;
+    let bestLength = 0;
+
+    this.profiles.forEach(profile => {
+      String(profile.match || '')
+        .split(',')
+        .map(pattern => pattern.trim())
+        .filter(Boolean)
+        .forEach(pattern => {
+          // Longest matching pattern wins, so "client.com/investors" beats "client.com"
+          if (pattern.length > bestLength && this.matchesProfilePattern(pattern, url)) {
+            best = profile;
+            bestLength = pattern.length;
+          }
+        });
+    });
+
+    return best;
+  }
+
+  // "client.com" (and its subdomains), "*.client.co.uk", "client.com/investors*", or "/regex/"
+  matchesProfilePattern(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      try {
+        return new RegExp(regexMatch[1], regexMatch[2]).test(url);
+      } catch (e) {
+        console.warn('Invalid profile pattern:', pattern);
+        return false;
+      }
+    }
+
+    // Plain hosts also cover their subdomains ("client.com" matches "www.client.com")
+    const toRegex = (glob, subdomains) => new RegExp('^' + (subdomains ? '(?:[^/]*\\.)?' : '') + glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$', 'i');
+
+    if (pattern.includes('/')) {
+      const glob = pattern.replace(/^https?:\/\//, '');
+      const target = parsed.hostname + parsed.pathname;
+      return toRegex(glob + (glob.endsWith('*') ? '' : '*'), !glob.startsWith('*')).test(target);
+    }
+
+    return toRegex(pattern, !pattern.startsWith('*')).test(parsed.hostname);
+  }
+
+  renderProfileControls() {
+    this.profileSelect.innerHTML = this.profiles
+      .map(profile => `<option value="${this.escapeHtml(profile.id)}">${this.escapeHtml(profile.name || profile.id)}</option>`)
+      .join('');
+    this.profileSelect.value = this.activeProfile.id;
+    this.profileNameInput.value = this.activeProfile.name || '';
+    this.profileMatchInput.value = this.activeProfile.match || '';
+    this.deleteProfileBtn.disabled = this.activeProfile.id === 'default';
+    this.profileInfo.textContent = this.profileAutoMatched
+      ? 'Selected automatically for this site'
+      : 'No profile matches this site; using the one selected';
+  }
+
+  async switchProfile(profileId) {
+    const profile = this.profiles.find(p => p.id === profileId);
+    if (!profile) return;
+    await this.flushPendingSave();
+    this.profileAutoMatched = this.findMatchingProfile(this.currentUrl) === profile;
+    await this.activateProfile(profile);
+  }
+
+  async createProfile(copyFrom = null) {
+    await this.flushPendingSave();
+    const id = `p-${Date.now().toString(36)}`;
+    const profile = copyFrom
+      ? { id: id, name: `${copyFrom.name} (copy)`, match: '', settings: { ...this.buildProfileSettings() } }
+      : { id: id, name: 'New profile', match: this.currentHost || '', settings: { ...this.formDefaults } };
+
     try {
+      this.profiles.push(profile);
       await chrome.storage.sync.set({
-        innerContent: this.innerContentInput.checked,
-        makeAbsolute: this.makeAbsoluteInput.checked,
-        mediaPrefixXlsx: this.mediaPrefixXlsxInput.value,
-        mediaPrefixHtml: this.mediaPrefixHtmlInput.value,
-        fileExtensions: this.fileExtensionsInput.value,
-        linkSelectors: this.linkSelectorsInput.value
+        [`profile:${id}`]: profile,
+        profileIds: this.profiles.map(p => p.id)
       });
+      this.profileAutoMatched = this.findMatchingProfile(this.currentUrl) === profile;
+      await this.activateProfile(profile);
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      this.profiles = this.profiles.filter(p => p.id !== id);
+    }
+  }
+
+  async deleteProfile() {
+    const profile = this.activeProfile;
+    if (!profile || profile.id === 'default') return;
+    if (!confirm(`Delete profile "${profile.name}"?`)) return;
+    // A pending edit to this profile would write it back after the removal
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      this.profiles = this.profiles.filter(p => p.id !== profile.id);
+      await chrome.storage.sync.remove(`profile:${profile.id}`);
+      await chrome.storage.sync.set({ profileIds: this.profiles.map(p => p.id) });
+
+      const next = this.findMatchingProfile(this.currentUrl);
+      this.profileAutoMatched = !!next;
+      await this.activateProfile(next || this.profiles.find(p => p.id === 'default') || this.profiles[0]);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+    }
+  }
+
+  // Everything the form shows, with the zone inputs resolved to the profile's own zones
+  buildProfileSettings() {
+    return {
+      ...this.readSettingsFromForm(),
+      ...(this.globalZoneSettings || this.getZoneInputValues())
+    };
+  }
+
+  // Zone inputs show the override for the current host if there is one, else the profile's zones
+  async loadZoneSettings(settings) {
+    try {
+      this.currentHost = new URL(this.currentUrl).hostname;
+    } catch (e) {
+      this.currentHost = '';
+    }
+
+    this.zoneSiteHostSpan.textContent = this.currentHost || 'this site';
+    this.zoneSiteOverrideInput.disabled = !this.currentHost;
+
+    this.globalZoneSettings = {
+      zoneFilterEnabled: settings.zoneFilterEnabled !== false,
+      excludeZones: settings.excludeZones !== undefined ? settings.excludeZones : this.formDefaults.excludeZones,
+      includeZones: settings.includeZones || ''
+    };
+
+    const override = this.currentHost ? this.zoneOverrides[this.currentHost] : null;
+    this.savedZoneOverride = JSON.stringify(override || null); // what sync has, see saveZoneOverride()
+    this.zoneSiteOverrideInput.checked = !!override;
+    this.applyZoneInputs(override || this.globalZoneSettings);
+  }
+
+  applyZoneInputs(zoneSettings) {
+    this.zoneFilterEnabledInput.checked = zoneSettings.zoneFilterEnabled !== false;
+    this.excludeZonesInput.value = zoneSettings.excludeZones || '';
+    this.includeZonesInput.value = zoneSettings.includeZones || '';
+  }
+
+  getZoneInputValues() {
+    return {
+      zoneFilterEnabled: this.zoneFilterEnabledInput.checked,
+      excludeZones: this.excludeZonesInput.value,
+      includeZones: this.includeZonesInput.value
+    };
+  }
+
+  toggleZoneOverride() {
+    if (!this.currentHost) return;
+
+    if (this.zoneSiteOverrideInput.checked) {
+      // Start the override from whatever is showing now
+      this.zoneOverrides[this.currentHost] = this.getZoneInputValues();
+    } else {
+      delete this.zoneOverrides[this.currentHost];
+      if (this.globalZoneSettings) this.applyZoneInputs(this.globalZoneSettings);
+    }
+    this.saveSettings();
+  }
+
+  // Inputs fire on every keystroke; batch them to respect the sync write quota
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveSettings();
+    }, 300);
+  }
+
+  // A batched edit belongs to the profile it was made in; save it before that changes
+  async flushPendingSave() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.saveSettings();
+  }
+
+  async saveSettings() {
+    if (!this.activeProfile) return;
+
+    try {
+      // Zone inputs write to the site override when it's on, else to the profile's zones
+      const zoneValues = this.getZoneInputValues();
+      if (this.zoneSiteOverrideInput.checked && this.currentHost) {
+        this.zoneOverrides[this.currentHost] = zoneValues;
+      } else {
+        this.globalZoneSettings = zoneValues;
+      }
+
+      this.activeProfile.name = this.profileNameInput.value.trim() || this.activeProfile.name;
+      this.activeProfile.match = this.profileMatchInput.value.trim();
+      this.activeProfile.settings = this.buildProfileSettings();
+
+      await chrome.storage.sync.set({ [`profile:${this.activeProfile.id}`]: this.activeProfile });
     } catch (error) {
       console.error('Error saving settings:', error);
+      this.profileInfo.textContent = `Settings not saved: ${error.message}`;
+    }
+
+    try {
+      await this.saveZoneOverride();
+    } catch (error) {
+      console.error('Error saving site zones:', error);
+      this.profileInfo.textContent = `Zones for ${this.currentHost} not saved: ${error.message}`;
+    }
+  }
+
+  // Writes (or removes) the current site's override on its own, apart from the profile.
+  // Only when it changed: every settings save comes through here, and sync writes are rationed
+  async saveZoneOverride() {
+    if (!this.currentHost) return;
+
+    const override = this.zoneOverrides[this.currentHost] || null;
+    const serialized = JSON.stringify(override);
+    if (serialized === this.savedZoneOverride) return;
+
+    const key = `zoneOverride:${this.currentHost}`;
+    if (override && this.savedZoneOverride !== 'null') {
+      await chrome.storage.sync.set({ [key]: override });
+    } else {
+      // The host list only changes when the site gains or loses its override; other sites
+      // may have been added on another device since the popup opened
+      const { zoneOverrideHosts = [] } = await chrome.storage.sync.get('zoneOverrideHosts');
+      const hosts = zoneOverrideHosts.filter(host => host !== this.currentHost);
+      if (override) {
+        await chrome.storage.sync.set({ [key]: override, zoneOverrideHosts: [...hosts, this.currentHost] });
+      } else {
+        await chrome.storage.sync.remove(key);
+        await chrome.storage.sync.set({ zoneOverrideHosts: hosts });
+      }
     }
+    this.savedZoneOverride = serialized;
   }
 
   attachEventListeners() {
     this.extractBtn.addEventListener('click', () => this.extractLinks());
+    this.watchBtn.addEventListener('click', () => this.toggleWatch());
+    this.watchResultsBtn.addEventListener('click', () => this.loadWatchedLinks());
+    this.captureBtn.addEventListener('click', () => this.toggleNetworkCapture());
+    this.extractScopeSelect.addEventListener('change', () => {
+      this.crawlOptionsDiv.classList.toggle('hidden', this.extractScopeSelect.value !== 'crawl');
+      this.renderTabPicker();
+    });
     this.downloadBtn.addEventListener('click', () => this.downloadFiles());
+    this.zipBtn.addEventListener('click', () => this.downloadZip());
     this.exportBtn.addEventListener('click', () => this.exportData());
+    this.copyBtn.addEventListener('click', () => this.copyExport());
+    this.validateBtn.addEventListener('click', () => this.validateLinks());
+    this.historyBtn.addEventListener('click', () => this.toggleHistory());
+    this.compareLastBtn.addEventListener('click', () => {
+      if (this.currentRun) this.handleHistoryAction('compare', this.currentRun.id);
+    });
+    this.historyAllPagesInput.addEventListener('change', () => this.loadHistory());
+    this.monitorBtn.addEventListener('click', () => this.toggleMonitors());
+    this.monitorAddBtn.addEventListener('click', () => this.addPageMonitor());
+    [this.monitorIntervalSelect, this.monitorAutoDownloadInput].forEach(input => {
+      input.addEventListener('change', () => { this.monitorFormTouched = true; });
+    });
+    this.monitorListDiv.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-monitor-action]');
+      if (button) this.handleMonitorAction(button.dataset.monitorAction, button.dataset.id);
+    });
+    this.historyListDiv.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-history-action]');
+      if (button) this.handleHistoryAction(button.dataset.historyAction, parseInt(button.dataset.id, 10));
+    });
+    this.historyDiffDiv.addEventListener('click', (event) => {
+      if (event.target.closest('#historyDiffCsvBtn')) this.downloadHistoryDiff();
+    });
 
     // Save settings on change
-    [this.innerContentInput, this.makeAbsoluteInput, this.mediaPrefixXlsxInput,
-     this.mediaPrefixHtmlInput, this.fileExtensionsInput, this.linkSelectorsInput]
+    [...Object.values(this.settingFields), this.zoneFilterEnabledInput, this.excludeZonesInput,
+     this.includeZonesInput, this.profileNameInput, this.profileMatchInput]
       .forEach(input => {
-        input.addEventListener('change', () => this.saveSettings());
-        input.addEventListener('input', () => this.saveSettings());
+        input.addEventListener('change', () => this.scheduleSave());
+        input.addEventListener('input', () => this.scheduleSave());
       });
+
+    this.zoneSiteOverrideInput.addEventListener('change', () => this.toggleZoneOverride());
+
+    // Snippet templates
+    this.snippetTemplateSelect.addEventListener('change', () => this.renderSnippetEditor());
+    this.saveTemplateAsBtn.addEventListener('click', () => this.createSnippetTemplate());
+    this.deleteTemplateBtn.addEventListener('click', () => this.deleteSnippetTemplate());
+    [this.snippetTemplateNameInput, this.snippetTemplateBodyInput].forEach(input => {
+      input.addEventListener('input', () => this.handleSnippetTemplateInput());
+    });
+
+    // Export column chooser
+    this.exportColumnsDiv.addEventListener('change', () => this.updateExportColumns());
+    this.exportColumnsDiv.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-move]');
+      if (button) this.updateExportColumns(button.dataset.move, parseInt(button.dataset.offset, 10));
+    });
+
+    // Rewrite rules preview live in the results list
+    [this.mediaRewriteRulesInput, this.mediaRewriteMatchCaseInput].forEach(input => {
+      input.addEventListener('input', () => this.refreshMediaRewrite());
+      input.addEventListener('change', () => this.refreshMediaRewrite());
+    });
+
+    // URL matching rules re-key the results as they are edited
+    [this.urlStripParamsInput, this.urlKeepParamsInput, this.urlIgnoreSchemeInput, this.urlIgnoreWwwInput,
+      this.urlHostAliasesInput, this.urlStripIndexInput, this.urlFoldPathCaseInput].forEach(input => {
+      input.addEventListener('change', () => this.refreshUrlNormalization());
+    });
+
+    // Profiles
+    this.profileSelect.addEventListener('change', () => this.switchProfile(this.profileSelect.value));
+    this.newProfileBtn.addEventListener('click', () => this.createProfile());
+    this.duplicateProfileBtn.addEventListener('click', () => this.createProfile(this.activeProfile));
+    this.deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
+    this.openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    this.profileNameInput.addEventListener('change', () => {
+      this.saveSettings().then(() => this.renderProfileControls());
+    });
+
+    // Results list: filters, sorting and selection
+    [this.filterTextInput, this.filterExtensionSelect, this.filterDuplicateSelect,
+     this.filterMinSizeInput, this.filterMaxSizeInput]
+      .forEach(input => input.addEventListener('input', () => this.renderLinksList()));
+
+    this.selectAllBtn.addEventListener('click', () => this.setVisibleSelection(true));
+    this.selectNoneBtn.addEventListener('click', () => this.setVisibleSelection(false));
+
+    this.sortBar.addEventListener('click', (event) => {
+      const field = event.target.dataset && event.target.dataset.sort;
+      if (!field) return;
+      if (this.sortState.field === field) {
+        this.sortState.direction = this.sortState.direction === 'asc' ? 'desc' : 'asc';
+      } else {
+        this.sortState = { field: field, direction: 'asc' };
+      }
+      this.renderLinksList();
+    });
+
+    this.linksListDiv.addEventListener('change', (event) => {
+      const id = event.target.dataset && event.target.dataset.id;
+      if (!id) return;
+
+      if (event.target.classList.contains('edit-title')) {
+        this.saveLinkEdit(id, 'title', event.target.value);
+        return;
+      }
+      if (event.target.classList.contains('edit-filename')) {
+        this.saveLinkEdit(id, 'filename', event.target.value);
+        return;
+      }
+
+      if (event.target.checked) {
+        this.selectedIds.add(id);
+      } else {
+        this.selectedIds.delete(id);
+      }
+      this.updateSelectionState();
+    });
+
+    this.linksListDiv.addEventListener('click', (event) => {
+      const id = event.target.dataset && event.target.dataset.editToggle;
+      if (!id) return;
+      if (this.editingIds.has(id)) {
+        this.editingIds.delete(id);
+      } else {
+        this.editingIds.add(id);
+      }
+      this.renderLinksList();
+    });
+
+    // Download queue controls (the queue itself runs in the background worker)
+    this.pauseJobBtn.addEventListener('click', () => this.sendJobCommand('pauseDownloadJob'));
+    this.resumeJobBtn.addEventListener('click', () => this.sendJobCommand('resumeDownloadJob'));
+    this.cancelJobBtn.addEventListener('click', () => this.sendJobCommand('cancelDownloadJob'));
+    this.clearJobBtn.addEventListener('click', () => this.sendJobCommand('clearDownloadJob'));
+
+    // Site crawl controls (the crawl also runs in the background worker)
+    this.cancelCrawlBtn.addEventListener('click', () => this.sendCrawlCommand('cancelCrawl'));
+    this.clearCrawlBtn.addEventListener('click', () => this.sendCrawlCommand('clearCrawl'));
+    this.showCrawlBtn.addEventListener('click', () => this.loadCrawlResults());
+    this.crawlLogBtn.addEventListener('click', () => this.downloadCrawlLog());
+
+    chrome.runtime.onMessage.addListener((request, sender) => {
+      if (request.action === 'downloadJobUpdated') {
+        this.renderDownloadJob(request.job);
+      } else if (request.action === 'crawlJobUpdated') {
+        this.renderCrawlJob(request.job);
+      } else if (request.action === 'zipJobUpdated') {
+        this.renderZipJob(request.job);
+      } else if (request.action === 'watchUpdated' && sender.tab?.id === this.currentTabId) {
+        this.renderWatchState(request.state);
+      } else if (request.action === 'networkCaptureUpdated' && request.tabId === this.currentTabId) {
+        this.renderNetworkCapture(request.state);
+      } else if (request.action === 'validationProgress' && this.validating) {
+        this.showStatus(`Validating URLs... ${request.done}/${request.total}`);
+      } else if (request.action === 'hashProgress' && this.hashing) {
+        this.showStatus(`Hashing documents... ${request.done}/${request.total}`);
+      } else if (request.action === 'pageMonitorsUpdated' && !this.monitorsDiv.classList.contains('hidden')) {
+        this.renderMonitors(request.monitors);
+      }
+    });
   }
 
   showStatus(message) {
@@ -99,13 +732,58 @@ class DocumentExtractor {
       .map(sel => sel.trim())
       .filter(sel => sel);
 
+    // Source ids as the content script's getLinkSources() names them
+    const sourceInputs = {
+      anchors: this.sourceAnchorsInput,
+      embeds: this.sourceEmbedsInput,
+      meta: this.sourceMetaInput,
+      jsonld: this.sourceJsonLdInput,
+      text: this.sourceTextInput
+    };
+    const linkSources = Object.keys(sourceInputs).filter(id => sourceInputs[id].checked);
+
+    const splitZones = (value) => value
+      .split(',')
+      .map(zone => zone.trim())
+      .filter(zone => zone);
+
     return {
       innerContent: this.innerContentInput.checked,
       makeAbsolute: this.makeAbsoluteInput.checked,
+      probeSizes: this.probeSizesInput.checked,
+      hashContents: this.hashContentsInput.checked,
       mediaPrefixXlsx: this.mediaPrefixXlsxInput.value,
       mediaPrefixHtml: this.mediaPrefixHtmlInput.value,
+      mediaRewriteRules: this.mediaRewriteRulesInput.value,
+      mediaRewriteMatchCase: this.mediaRewriteMatchCaseInput.checked,
+      snippetTemplate: this.snippetTemplateSelect.value || 'button',
+      exportFormat: this.exportFormatSelect.value || 'csv',
+      exportColumns: this.exportColumnsInput.value,
+      exportSaveAs: this.exportSaveAsInput.checked,
       fileExtensions: extensions,
-      linkSelectors: selectors
+      linkSelectors: selectors,
+      linkSources: linkSources,
+      resolveUnknown: this.resolveUnknownInput.checked,
+      resolvePattern: this.resolvePatternInput.value.trim(),
+      urlStripParams: this.urlStripParamsInput.value.trim(),
+      urlKeepParams: this.urlKeepParamsInput.value.trim(),
+      urlIgnoreScheme: this.urlIgnoreSchemeInput.checked,
+      urlIgnoreWww: this.urlIgnoreWwwInput.checked,
+      urlHostAliases: this.urlHostAliasesInput.value,
+      urlStripIndex: this.urlStripIndexInput.checked,
+      urlFoldPathCase: this.urlFoldPathCaseInput.checked,
+      downloadConcurrency: parseInt(this.downloadConcurrencyInput.value, 10) || 3,
+      downloadRetries: Math.max(0, parseInt(this.downloadRetriesInput.value, 10) || 0),
+      filenameTemplate: this.filenameTemplateInput.value.trim() || '{filename}.{ext}',
+      crawlDepth: Math.max(0, parseInt(this.crawlDepthInput.value, 10) || 0),
+      crawlMaxPages: parseInt(this.crawlMaxPagesInput.value, 10) || 100,
+      crawlDelayMs: Math.max(0, parseInt(this.crawlDelayMsInput.value, 10) || 0),
+      crawlPathPrefix: this.crawlPathPrefixInput.value.trim(),
+      crawlInclude: this.crawlIncludeInput.value.trim(),
+      crawlExclude: this.crawlExcludeInput.value.trim(),
+      zoneFilterEnabled: this.zoneFilterEnabledInput.checked,
+      excludeZones: splitZones(this.excludeZonesInput.value),
+      includeZones: splitZones(this.includeZonesInput.value)
     };
   }
 
@@ -119,49 +797,37 @@ class DocumentExtractor {
      URL normalization + slugify helpers
      ---------------------------- */
 
-  // Create a canonical URL string used for comparisons (removes hash, normalizes host case, strips default ports)
+  // Create a canonical URL string used for comparisons (see url-normalizer.js)
+  // Document URLs follow the profile's URL matching rules
   normalizeUrlForComparison(rawUrl, pageUrl = '') {
-    try {
-      if (!rawUrl) return '';
-      const u = new URL(rawUrl, pageUrl || undefined);
-      const protocol = u.protocol.toLowerCase();
-      const hostname = u.hostname.toLowerCase();
-      // remove default ports
-      let port = u.port ? `:${u.port}` : '';
-      if ((protocol === 'http:' && u.port === '80') || (protocol === 'https:' && u.port === '443')) port = '';
-      // normalize pathname: collapse multiple slashes, strip trailing slash (but keep root '/')
-      let pathname = (u.pathname || '/').replace(/\/{2,}/g, '/');
-      if (pathname !== '/' ) pathname = pathname.replace(/\/$/, '');
-      // keep search (query) as-is — it differentiates resources
-      const search = u.search || '';
-      return `${protocol}//${hostname}${port}${pathname}${search}`;
-    } catch (e) {
-      // fallback: return raw string trimmed
-      return String(rawUrl || '').trim();
-    }
+    return this.urlNormalizer.normalize(rawUrl, pageUrl);
+  }
+
+  // Pages (history, monitors) always use the basic rules, so they stay put when the profile's rules change
+  normalizePageUrl(rawUrl) {
+    return this.basicUrlNormalizer.normalize(rawUrl);
+  }
+
+  // Re-key the current results after a rule change; duplicates, downloads and exports follow
+  refreshUrlNormalization() {
+    this.urlNormalizer = UrlNormalizer.fromSettings(this.getSettings());
+    if (this.extractedLinks.length === 0) return;
+
+    this.extractedLinks.forEach(link => {
+      const { key, rules } = this.urlNormalizer.normalizeWithRules(link.url, link.pageUrl);
+      link.urlNormalized = key;
+      link.urlRules = rules;
+    });
+    this.handleDuplicateFilenames(this.extractedLinks);
+    this.renderLinksList();
   }
 
   // extract base name and ext from url path (slugifies basename)
   getBasenameAndExtFromUrl(rawUrl) {
     try {
       const u = new URL(rawUrl);
-      let last = u.pathname.split('/').filter(Boolean).pop() || '';
-      last = decodeURIComponent(last || '').split('?')[0].split('#')[0].trim();
-
-      const extMatch = last.match(/\.([0-9a-zA-Z]+)$/);
-      const ext = extMatch ? extMatch[1].toLowerCase() : '';
-      const baseRaw = ext ? last.replace(new RegExp(`\\.${ext}$`), '') : last;
-
-      let base = baseRaw
-        .normalize('NFKD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-zA-Z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '')
-        .replace(/-{2,}/g, '-')
-        .toLowerCase();
-
-      if (!base) base = 'file';
-      return { baseName: base, extension: ext };
+      const last = u.pathname.split('/').filter(Boolean).pop() || '';
+      return this.getBasenameAndExtFromFilename(decodeURIComponent(last || '').split('?')[0].split('#')[0]);
     } catch (e) {
       // fallback: slugify rawUrl
       const safe = String(rawUrl || '').replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase() || 'file';
@@ -169,279 +835,2519 @@ class DocumentExtractor {
     }
   }
 
-  // Ensure each raw link has url, title, filename, extension, urlNormalized, estimatedSize
+  // split a plain filename (e.g. from Content-Disposition) into slugified base + ext
+  getBasenameAndExtFromFilename(rawFilename) {
+    const last = String(rawFilename || '').trim();
+    const extMatch = last.match(/\.([0-9a-zA-Z]+)$/);
+    const ext = extMatch ? extMatch[1].toLowerCase() : '';
+    const baseRaw = ext ? last.replace(new RegExp(`\\.${ext}$`, 'i'), '') : last;
+
+    return { baseName: this.slugifyBaseName(baseRaw) || 'file', extension: ext };
+  }
+
+  slugifyBaseName(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .replace(/-{2,}/g, '-')
+      .toLowerCase();
+  }
+
+  // Ensure each raw link has url, title, filename, extension, urlNormalized (+ urlRules), estimatedSize
   normalizeLinks(rawLinks = [], pageUrl = '') {
     return rawLinks.map((raw, idx) => {
       const url = raw.url || raw.href || raw.link || '';
       const title = raw.title || raw.text || '';
       const estimatedSize = Number(raw.estimatedSize || raw.size || 0) || 0;
-      const urlNormalized = this.normalizeUrlForComparison(url, pageUrl);
+      const sizeSource = raw.sizeSource || (estimatedSize ? 'scraped' : null);
+      const { key: urlNormalized, rules: urlRules } = this.urlNormalizer.normalizeWithRules(url, pageUrl);
+      const pageTitle = raw.pageTitle || '';
 
       const { baseName, extension } = url ? this.getBasenameAndExtFromUrl(url) : { baseName: `file-${idx}`, extension: '' };
       const filename = baseName;
       const filenameWithExt = extension ? `${filename}.${extension}` : filename;
 
-      return {
+      const link = {
         ...raw,
+        uniqueId: String(raw.uniqueId || `${Date.now()}-${idx}`),
         url,
         urlNormalized,
+        urlRules,
         title,
         estimatedSize,
+        sizeSource,
         extension,
         filename,
+        baseFilename: filename,
         filenameWithExt,
-        pageUrl
+        pageUrl,
+        pageTitle
       };
+
+      // Network captures already know the server's filename and MIME type
+      if (raw.serverFileInfo) {
+        this.applyResolvedFileInfo(link, raw.serverFileInfo);
+      }
+      return link;
     });
   }
 
   /* ----------------------------
      main extraction
      ---------------------------- */
-     async extractLinks() {
-      try {
-        this.showStatus('Extracting document links from page...');
-    
-        const tab = await this.getCurrentTab();
-        const settings = this.getSettings();
-    
-        // Send message to content script to extract links
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          action: 'extractLinks',
-          settings: settings,
-          pageUrl: tab.url
-        });
-    
-        if (response && response.success && Array.isArray(response.links)) {
-          // --- Log raw links as-is (duplicates included) ---
-          console.log("Extracted raw links count:", response.links.length);
-          console.table(response.links.map((l, i) => ({ i, url: l.url || l.href })));
-          // ----------------------------------------------
-    
-          // Normalize links (duplicates preserved)
-          this.extractedLinks = this.normalizeLinks(response.links, tab.url);
-          this.displayResults();
-        } else {
-          throw new Error(response?.error || 'Failed to extract links');
-        }
-    
-      } catch (error) {
-        console.error('Error extracting links:', error);
-        this.showStatus(`Error: ${error.message}`);
-        setTimeout(() => this.hideStatus(), 3000);
+  async extractLinks() {
+    try {
+      const settings = this.getSettings();
+      if (this.extractScopeSelect.value === 'crawl') {
+        await this.startCrawl(settings);
+        return;
       }
+
+      const tabs = await this.getTargetTabs();
+      if (tabs.length === 0) {
+        throw new Error('No tabs selected');
+      }
+
+      this.showStatus(tabs.length > 1
+        ? `Extracting document links from ${tabs.length} tabs...`
+        : 'Extracting document links from page...');
+
+      const pages = await this.extractFromTabs(tabs, settings);
+      await this.addCapturedLinks(pages, settings);
+      await this.processPages(pages, settings);
+
+    } catch (error) {
+      console.error('Error extracting links:', error);
+      this.showStatus(`Error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
     }
-    
-  displayResults() {
-    this.hideStatus();
+  }
 
-    if (!this.extractedLinks || this.extractedLinks.length === 0) {
-      this.summaryDiv.innerHTML = '<p>No document links found on this page.</p>';
-      this.linksListDiv.innerHTML = '';
-      this.resultsDiv.classList.remove('hidden');
-      return;
+  // pages: one { success, url, title, links, zoneStats | error } entry per page
+  // runInfo: { source: 'extract' | 'watch' | 'crawl', startUrl } for the history record
+  async processPages(pages, settings, runInfo = {}) {
+    this.urlNormalizer = UrlNormalizer.fromSettings(settings);
+    const extracted = pages.filter(page => page.success);
+    if (extracted.length === 0) {
+      throw new Error(pages[0]?.error || 'Failed to extract links');
     }
 
-    // Create summary
-    const totalSize = this.extractedLinks.reduce((sum, link) => sum + (link.estimatedSize || 0), 0);
-    const sizeText = totalSize > 0 ? this.humanFileSize(totalSize) : 'Unknown';
-    
-    this.summaryDiv.innerHTML = `
-      <div><strong>${this.extractedLinks.length}</strong> document links found</div>
-      <div>Estimated total size: <strong>${sizeText}</strong></div>
-      <div>Page: <em>${this.extractedLinks[0]?.pageUrl || 'Unknown'}</em></div>
-    `;
+    // --- Log raw links as-is (duplicates included) ---
+    extracted.forEach(page => {
+      console.log(`Extracted raw links count (${page.url}):`, page.links.length);
+      console.table(page.links.map((l, i) => ({ i, url: l.url || l.href })));
+    });
+    // ----------------------------------------------
 
-    // Create links list
-    this.linksListDiv.innerHTML = this.extractedLinks
-      .map(link => `
-        <div class="link-item">
-          <div class="link-url">${link.url}</div>
-          ${link.title ? `<div class="link-title">"${link.title}"</div>` : ''}
-          <div style="font-size: 10px; color: #718096; margin-top: 4px;">
-            ${link.extension?.toUpperCase() || 'FILE'} • ${this.humanFileSize(link.estimatedSize)}
-          </div>
-        </div>
-      `).join('');
+    this.extractedLinks = this.mergePageLinks(extracted);
+    this.zoneStats = this.mergeZoneStats(extracted);
+    this.pageStats = pages.map(page => ({
+      url: page.url,
+      title: page.title,
+      count: page.success ? page.links.length : 0,
+      error: page.success ? null : page.error
+    }));
 
-    this.resultsDiv.classList.remove('hidden');
-    this.downloadBtn.disabled = false;
-    this.exportBtn.disabled = false;
+    if (settings.probeSizes || settings.resolveUnknown) {
+      await this.probeLinks(this.extractedLinks, settings);
+    }
+
+    // Links the server answered for are filtered on what it said they are; extensionless
+    // candidates only survive if it told us they are documents
+    this.extractedLinks = this.extractedLinks.filter(link => !link.servedAsHtml &&
+      ((!link.needsResolution && !link.extensionResolved) || settings.fileExtensions.includes(link.extension)));
+
+    if (settings.hashContents) {
+      await this.hashLinks(this.extractedLinks);
+    }
+
+    await this.applySavedEdits(this.extractedLinks);
+
+    // Everything starts selected, so the actions behave as before until rows are unticked
+    this.selectedIds = new Set(this.extractedLinks.map(link => link.uniqueId));
+
+    await this.saveHistoryRun(pages, settings, runInfo);
+    this.displayResults();
   }
 
   /* ----------------------------
-     duplicate resolution (core)
-     - uses urlNormalized as primary key for exact-URL duplicates
-     - always pushes every row (sheet preserves duplicates)
-     - suffixes base filename when different URLs share same basename
+     batch extraction: this tab, every tab in the window, or picked tabs
      ---------------------------- */
- handleDuplicateFilenames(links) {
-    const urlMap = new Map();     // urlNormalized -> first link seen for that URL
-    const filenameMap = new Map(); // baseFilename -> array of links (for suffixing)
-    const processed = [];
+  isExtractableTab(tab) {
+    return /^(https?|file):/i.test(tab.url || '');
+  }
 
-    links.forEach(link => {
-      const urlKey = link.urlNormalized || this.normalizeUrlForComparison(link.url || '');
-      const baseFilename = link.filename || (this.getBasenameAndExtFromUrl(link.url || '').baseName);
-      const ext = link.extension || (this.getBasenameAndExtFromUrl(link.url || '').extension || '');
+  async getTargetTabs() {
+    const scope = this.extractScopeSelect.value;
+    if (scope === 'current') return [await this.getCurrentTab()];
 
-      // If same exact (normalized) URL seen before -> mark duplicate
-      if (urlMap.has(urlKey)) {
-        const first = urlMap.get(urlKey);
-        link.filename = first.filename;
-        link.filenameWithExt = first.filenameWithExt;
-        link.isDuplicate = 'yes';
-        processed.push(link);
-        return; // do NOT skip pushing: we must keep every DOM row
-      }
+    const tabs = (await chrome.tabs.query({ currentWindow: true })).filter(tab => this.isExtractableTab(tab));
+    if (scope === 'window') return tabs;
 
-      // Unique URL -> check filename collisions across different URLs
-      if (!filenameMap.has(baseFilename)) filenameMap.set(baseFilename, []);
-      const siblings = filenameMap.get(baseFilename);
+    const picked = new Set(Array.from(this.tabPickerDiv.querySelectorAll('.tab-pick:checked'))
+      .map(input => Number(input.dataset.tabId)));
+    return tabs.filter(tab => picked.has(tab.id));
+  }
 
-      let finalFilename = baseFilename;
-      if (siblings.length > 0) {
-        finalFilename = `${baseFilename}-${siblings.length}`;
-      }
+  async renderTabPicker() {
+    if (this.extractScopeSelect.value !== 'picked') {
+      this.tabPickerDiv.classList.add('hidden');
+      return;
+    }
 
-      link.filename = finalFilename;
-      link.filenameWithExt = ext ? `${finalFilename}.${ext}` : finalFilename;
-      link.isDuplicate = 'no';
+    const tabs = (await chrome.tabs.query({ currentWindow: true })).filter(tab => this.isExtractableTab(tab));
+    this.tabPickerDiv.innerHTML = tabs.length === 0
+      ? '<div>No web pages open in this window.</div>'
+      : tabs.map(tab => `
+        <label title="${this.escapeHtml(tab.url)}">
+          <input type="checkbox" class="tab-pick" data-tab-id="${tab.id}" ${tab.active ? 'checked' : ''}>
+          ${this.escapeHtml(tab.title || tab.url)}
+        </label>
+      `).join('');
+    this.tabPickerDiv.classList.remove('hidden');
+  }
 
-      // store
-      urlMap.set(urlKey, link);
-      siblings.push(link);
-      processed.push(link);
+  // Returns one { success, url, title, links, zoneStats | error } entry per tab
+  // The background runs the extractor in every frame of each tab, injecting the
+  // content script where it is missing (tabs and frames that predate the extension)
+  async extractFromTabs(tabs, settings) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'extractFromTabs',
+      tabIds: tabs.map(tab => tab.id),
+      settings: settings
     });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to extract links');
+    }
+    return response.pages;
+  }
 
-    // debug: show summary in console (remove if noisy)
-    try {
-      console.groupCollapsed('handleDuplicateFilenames summary');
-      console.log('total input rows:', links.length);
+  // One list across pages: duplicates within a page are kept as before, while a URL
+  // already found on an earlier page is dropped and noted on the first copy instead
+  mergePageLinks(pages) {
+    const firstSeen = new Map();
+    const merged = [];
+
+    pages.forEach(page => {
+      this.normalizeLinks(page.links, page.url).forEach(link => {
+        const first = firstSeen.get(link.urlNormalized);
+        if (first && first.pageUrl !== link.pageUrl) {
+          if (!first.alsoFoundOn.includes(link.pageUrl)) first.alsoFoundOn.push(link.pageUrl);
+          return;
+        }
+
+        if (!first) firstSeen.set(link.urlNormalized, link);
+        link.alsoFoundOn = [];
+        merged.push(link);
+      });
+    });
+
+    return merged;
+  }
+
+  mergeZoneStats(pages) {
+    const merged = new Map();
+    pages.forEach(page => {
+      (page.zoneStats || []).forEach(stat => {
+        const key = `${stat.type}:${stat.rule}`;
+        const existing = merged.get(key);
+        if (existing) {
+          existing.excluded += stat.excluded;
+        } else {
+          merged.set(key, { ...stat });
+        }
+      });
+    });
+    return Array.from(merged.values());
+  }
+
+  /* ----------------------------
+     server probing: real sizes + Content-Disposition/Content-Type resolution
+     (requests run in the background worker)
+     ---------------------------- */
+  async probeLinks(links, settings) {
+    const entries = [];
+    const seen = new Set();
+    links.forEach(link => {
+      if (!link.url || seen.has(link.urlNormalized)) return;
+      // Without size probing, only the extensionless candidates need a request
+      if (!settings.probeSizes && !link.needsResolution) return;
+      seen.add(link.urlNormalized);
+      entries.push({ key: link.urlNormalized, url: link.url });
+    });
+
+    if (entries.length === 0) return;
+    this.showStatus(`Checking ${entries.length} URLs on the server...`);
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'probeUrls', entries: entries });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Size probe failed');
+      }
+
+      links.forEach(link => {
+        const result = response.results[link.urlNormalized];
+        if (!result) return;
+
+        this.applyResolvedFileInfo(link, result);
+        if (result.size) {
+          link.probedSize = result.size;
+          link.sizeSource = 'probed';
+        }
+        link.tooltip = this.buildTooltip(link.extension, this.getLinkSize(link));
+      });
+    } catch (error) {
+      // Keep the URL-derived names and scraped sizes rather than failing the whole extraction
+      console.warn('Error probing links:', error);
+    }
+  }
+
+  // Content-Disposition filename > MIME type > URL path
+  applyResolvedFileInfo(link, result) {
+    const disposition = result.filename ? this.getBasenameAndExtFromFilename(result.filename) : null;
+    const extension = (disposition && disposition.extension)
+      || result.extension
+      || link.extension;
+    const answered = result.status >= 200 && result.status < 400;
+
+    // An HTML page where a file was expected: an error page or a login wall
+    link.servedAsHtml = answered && !disposition
+      && /^(text\/html|application\/xhtml\+xml)$/.test(result.contentType || '')
+      && !['html', 'htm', 'xhtml'].includes((extension || '').toLowerCase());
+    link.extensionResolved = answered || !!disposition || !!result.extension;
+
+    if (disposition) {
+      link.filename = disposition.baseName;
+      link.baseFilename = disposition.baseName;
+      link.filenameSource = 'content-disposition';
+    }
+    link.extension = extension || '';
+    link.contentType = result.contentType || link.contentType || '';
+    link.filenameWithExt = link.extension ? `${link.filename}.${link.extension}` : link.filename;
+  }
+
+  // Probed Content-Length wins over sizes scraped from the page text
+  getLinkSize(link) {
+    return link.probedSize || link.estimatedSize || 0;
+  }
+
+  buildTooltip(extension, sizeBytes) {
+    const kind = extension ? extension.toUpperCase() : 'FILE';
+    const size = sizeBytes ? this.humanFileSize(sizeBytes) : 'size not available';
+    return `${kind}, ${size}, opens in a new window`;
+  }
+
+  displayResults() {
+    this.hideStatus();
+
+    if (!this.extractedLinks || this.extractedLinks.length === 0) {
+      this.summaryDiv.innerHTML = '<p>No document links found on this page.</p>' + this.renderPageStats() + this.renderZoneStats();
+      this.linksListDiv.innerHTML = '';
+      this.validationReportDiv.classList.add('hidden');
+      this.resultsDiv.classList.remove('hidden');
+      this.updateSelectionState();
+      return;
+    }
+
+    // Flag duplicates up front so the list can filter on them
+    this.handleDuplicateFilenames(this.extractedLinks);
+
+    // Create summary
+    const totalSize = this.extractedLinks.reduce((sum, link) => sum + this.getLinkSize(link), 0);
+    const sizeText = totalSize > 0 ? this.humanFileSize(totalSize) : 'Unknown';
+    const probedCount = this.extractedLinks.filter(link => link.sizeSource === 'probed').length;
+    const scrapedCount = this.extractedLinks.filter(link => link.sizeSource === 'scraped').length;
+    const sizeLabel = probedCount > 0 ? 'Total size' : 'Estimated total size';
+
+    this.summaryDiv.innerHTML = `
+      <div><strong>${this.extractedLinks.length}</strong> document links found</div>
+      <div>${sizeLabel}: <strong>${sizeText}</strong> (${probedCount} probed, ${scrapedCount} scraped)</div>
+      ${this.renderPageStats()}
+      ${this.renderZoneStats()}
+    `;
+
+    // Extension filter options come from what was actually found
+    const currentExtension = this.filterExtensionSelect.value;
+    const extensions = [...new Set(this.extractedLinks.map(link => link.extension).filter(Boolean))].sort();
+    this.filterExtensionSelect.innerHTML = '<option value="">All types</option>' + extensions
+      .map(ext => `<option value="${this.escapeHtml(ext)}">${this.escapeHtml(ext.toUpperCase())}</option>`)
+      .join('');
+    this.filterExtensionSelect.value = extensions.includes(currentExtension) ? currentExtension : '';
+
+    this.renderValidationReport();
+    this.renderLinksList();
+    this.resultsDiv.classList.remove('hidden');
+  }
+
+  renderPageStats() {
+    if (this.pageStats.length <= 1) {
+      return `<div>Page: <em>${this.escapeHtml(this.pageStats[0]?.url || this.extractedLinks[0]?.pageUrl || 'Unknown')}</em></div>`;
+    }
+
+    const failed = this.pageStats.filter(page => page.error);
+    const details = this.pageStats
+      .map(page => `<li title="${this.escapeHtml(page.url)}">${this.escapeHtml(page.title || page.url)}: ${page.error
+        ? `<span class="page-error">${this.escapeHtml(page.error)}</span>`
+        : `${page.count} links`}</li>`)
+      .join('');
+
+    return `
+      <div>Pages: <strong>${this.pageStats.length - failed.length}</strong> extracted${failed.length > 0 ? `, <strong>${failed.length}</strong> failed` : ''}</div>
+      <ul class="page-stats">${details}</ul>
+    `;
+  }
+
+  renderZoneStats() {
+    if (!this.zoneStats || this.zoneStats.length === 0) return '';
+
+    const total = this.zoneStats.reduce((sum, stat) => sum + stat.excluded, 0);
+    const details = this.zoneStats
+      .sort((a, b) => b.excluded - a.excluded)
+      .map(stat => stat.type === 'include'
+        ? `outside include zones ×${stat.excluded}`
+        : `${this.escapeHtml(stat.rule)} ×${stat.excluded}`)
+      .join(', ');
+
+    return `<div>Zone filter skipped <strong>${total}</strong> links: ${details}</div>`;
+  }
+
+  /* ----------------------------
+     results list: filter, sort, select
+     - actions work on rows that are both ticked and visible
+     ---------------------------- */
+  getVisibleLinks() {
+    const text = this.filterTextInput.value.trim().toLowerCase();
+    const extension = this.filterExtensionSelect.value;
+    const duplicate = this.filterDuplicateSelect.value;
+    const minBytes = parseFloat(this.filterMinSizeInput.value) * 1024;
+    const maxBytes = parseFloat(this.filterMaxSizeInput.value) * 1024;
+
+    const visible = this.extractedLinks.filter(link => {
+      if (text && !`${link.title || ''} ${link.url || ''} ${link.pageTitle || ''}`.toLowerCase().includes(text)) return false;
+      if (extension && link.extension !== extension) return false;
+      if (duplicate && (link.isDuplicate || 'no') !== duplicate) return false;
+
+      const size = this.getLinkSize(link);
+      // Unknown sizes can't satisfy a size range
+      if (!isNaN(minBytes) && (!size || size < minBytes)) return false;
+      if (!isNaN(maxBytes) && (!size || size > maxBytes)) return false;
+      return true;
+    });
+
+    const { field, direction } = this.sortState;
+    if (!field) return visible;
+
+    const factor = direction === 'asc' ? 1 : -1;
+    const valueOf = (link) => {
+      if (field === 'size') return this.getLinkSize(link);
+      return String(link[field] || '').toLowerCase();
+    };
+
+    return visible.sort((a, b) => {
+      const left = valueOf(a);
+      const right = valueOf(b);
+      if (left < right) return -1 * factor;
+      if (left > right) return 1 * factor;
+      return 0;
+    });
+  }
+
+  getSelectedLinks() {
+    return this.getVisibleLinks().filter(link => this.selectedIds.has(link.uniqueId));
+  }
+
+  renderLinksList() {
+    const visible = this.getVisibleLinks();
+    const rewriteRules = this.getMediaRewriteRules();
+
+    this.linksListDiv.innerHTML = visible.length === 0
+      ? '<div class="link-item">No links match the current filter.</div>'
+      : visible.map(link => `
+        <div class="link-item">
+          <input type="checkbox" class="link-select" data-id="${this.escapeHtml(link.uniqueId)}" ${this.selectedIds.has(link.uniqueId) ? 'checked' : ''}>
+          <div class="link-body">
+            <div class="link-url" title="${this.escapeHtml(link.selectorPath || '')}">${this.escapeHtml(link.url)}</div>
+            ${link.title ? `<div class="link-title">"${this.escapeHtml(link.title)}"</div>` : ''}
+            <div class="link-meta">
+              ${this.escapeHtml(link.extension?.toUpperCase() || 'FILE')} • ${this.humanFileSize(this.getLinkSize(link))}${link.sizeSource ? ` (${link.sizeSource})` : ''}${this.renderDuplicateNote(link)}${link.source === 'network' ? ` • network${link.requestMethod && link.requestMethod !== 'GET' ? ` (${this.escapeHtml(link.requestMethod)})` : ''}` : ''}${link.source && !['anchors', 'network'].includes(link.source) ? ` • via ${this.escapeHtml(link.source)}` : ''}
+              • ${this.escapeHtml(link.filenameWithExt || '')}${link.edited ? ' • edited' : ''}${this.renderValidationBadge(link)}
+            </div>
+            ${this.renderMediaPreview(link, rewriteRules)}
+            ${this.pageStats.length > 1 ? this.renderLinkSource(link) : ''}
+            ${link.frameUrl && link.frameUrl !== link.pageUrl ? `<div class="link-meta" title="${this.escapeHtml(link.frameUrl)}">In frame: ${this.escapeHtml(link.frameUrl)}</div>` : ''}
+            ${this.renderLinkEditor(link)}
+          </div>
+          <button type="button" class="edit-toggle" title="Edit title and filename" data-edit-toggle="${this.escapeHtml(link.uniqueId)}">✏️</button>
+        </div>
+      `).join('');
+
+    this.sortBar.querySelectorAll('.sort-btn').forEach(button => {
+      const active = button.dataset.sort === this.sortState.field;
+      button.classList.toggle('active', active);
+      button.textContent = button.textContent.replace(/ [▲▼]$/, '') +
+        (active ? (this.sortState.direction === 'asc' ? ' ▲' : ' ▼') : '');
+    });
+
+    this.updateSelectionState();
+  }
+
+  renderDuplicateNote(link) {
+    if (link.isDuplicate !== 'yes') return '';
+    const reason = this.getDuplicateReasonText(link);
+    return ` • <span title="Duplicate of ${this.escapeHtml(link.duplicateOf || '')}">duplicate${reason ? ` (${this.escapeHtml(reason)})` : ''}</span>`;
+  }
+
+  // '' for the exact same URL, otherwise what made the rows one file
+  getDuplicateReasonText(link) {
+    if (link.duplicateReason === 'content') return 'same content';
+    if (link.duplicateRules && link.duplicateRules.length > 0) return link.duplicateRules.join(', ');
+    return link.url !== link.duplicateOf ? 'basic URL rules' : '';
+  }
+
+  renderLinkSource(link) {
+    const others = link.alsoFoundOn || [];
+    return `
+      <div class="link-meta" title="${this.escapeHtml([link.pageUrl, ...others].join('\n'))}">
+        From: ${this.escapeHtml(link.pageTitle || link.pageUrl)}${others.length > 0 ? ` (+${others.length} more ${others.length === 1 ? 'page' : 'pages'})` : ''}
+      </div>
+    `;
+  }
+
+  renderLinkEditor(link) {
+    if (!this.editingIds.has(link.uniqueId)) return '';
+
+    const id = this.escapeHtml(link.uniqueId);
+    const renamed = link.baseFilename && link.filename !== link.baseFilename
+      ? `<div class="link-edit-note">Renamed to ${this.escapeHtml(link.filename)} to avoid a filename collision</div>`
+      : '';
+
+    return `
+      <div class="link-edit">
+        <input type="text" class="edit-title" data-id="${id}" value="${this.escapeHtml(link.title)}"
+          placeholder="${this.escapeHtml(link.originalTitle || 'Title')}">
+        <div class="toolbar-row">
+          <input type="text" class="edit-filename" data-id="${id}" value="${this.escapeHtml(link.baseFilename || link.filename)}"
+            placeholder="${this.escapeHtml(link.originalBaseFilename || 'filename')}">
+          <span>${link.extension ? '.' + this.escapeHtml(link.extension) : ''}</span>
+        </div>
+        ${renamed}
+      </div>
+    `;
+  }
+
+  /* ----------------------------
+     inline edits (title + target filename)
+     - stored per page URL in chrome.storage.local, keyed by urlNormalized,
+       so every row of the same URL shares the correction
+     - clearing an input reverts to the extracted value
+     ---------------------------- */
+  getLinkEditsKey(pageUrl) {
+    return `linkEdits:${pageUrl}`;
+  }
+
+  async loadLinkEdits(pageUrl) {
+    const key = this.getLinkEditsKey(pageUrl);
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || {};
+  }
+
+  async applySavedEdits(links) {
+    links.forEach(link => {
+      link.originalTitle = link.title;
+      link.originalBaseFilename = link.baseFilename;
+    });
+
+    const pageUrls = [...new Set(links.map(link => link.pageUrl).filter(Boolean))];
+    for (const pageUrl of pageUrls) {
+      try {
+        const edits = await this.loadLinkEdits(pageUrl);
+        links
+          .filter(link => link.pageUrl === pageUrl && edits[link.urlNormalized])
+          .forEach(link => this.applyLinkEdit(link, edits[link.urlNormalized]));
+      } catch (error) {
+        console.warn('Error loading saved edits for', pageUrl, error);
+      }
+    }
+  }
+
+  applyLinkEdit(link, edit) {
+    link.title = edit.title || link.originalTitle || '';
+    link.baseFilename = edit.filename || link.originalBaseFilename || link.filename;
+    link.edited = !!(edit.title || edit.filename);
+  }
+
+  async saveLinkEdit(uniqueId, field, rawValue) {
+    const target = this.extractedLinks.find(link => link.uniqueId === uniqueId);
+    if (!target) return;
+
+    const value = field === 'filename' ? this.slugifyBaseName(rawValue) : String(rawValue || '').trim();
+
+    try {
+      const edits = await this.loadLinkEdits(target.pageUrl);
+      const edit = { ...(edits[target.urlNormalized] || {}) };
+
+      if (value) {
+        edit[field] = value;
+      } else {
+        delete edit[field];
+      }
+
+      if (edit.title || edit.filename) {
+        edits[target.urlNormalized] = edit;
+      } else {
+        delete edits[target.urlNormalized];
+      }
+
+      const key = this.getLinkEditsKey(target.pageUrl);
+      if (Object.keys(edits).length > 0) {
+        await chrome.storage.local.set({ [key]: edits });
+      } else {
+        await chrome.storage.local.remove(key);
+      }
+
+      this.extractedLinks
+        .filter(link => link.pageUrl === target.pageUrl && link.urlNormalized === target.urlNormalized)
+        .forEach(link => this.applyLinkEdit(link, edit));
+
+      // Re-check collisions with the new name
+      this.handleDuplicateFilenames(this.extractedLinks);
+      this.renderLinksList();
+    } catch (error) {
+      console.error('Error saving edit:', error);
+    }
+  }
+
+  setVisibleSelection(selected) {
+    this.getVisibleLinks().forEach(link => {
+      if (selected) {
+        this.selectedIds.add(link.uniqueId);
+      } else {
+        this.selectedIds.delete(link.uniqueId);
+      }
+    });
+    this.renderLinksList();
+  }
+
+  updateSelectionState() {
+    const selectedCount = this.getSelectedLinks().length;
+    this.selectionCountSpan.textContent = `${selectedCount} of ${this.extractedLinks.length} selected`;
+
+    const nothingSelected = selectedCount === 0;
+    this.downloadBtn.disabled = nothingSelected || this.downloadJobActive;
+    this.zipBtn.disabled = nothingSelected || this.zipJobActive;
+    this.exportBtn.disabled = nothingSelected;
+    this.copyBtn.disabled = nothingSelected;
+    this.validateBtn.disabled = nothingSelected;
+    this.compareLastBtn.disabled = !this.currentRun;
+    this.renderSnippetPreview();
+  }
+
+  /* ----------------------------
+     duplicate resolution (core)
+     - uses urlNormalized as primary key for exact-URL duplicates
+     - always pushes every row (sheet preserves duplicates)
+     - suffixes base filename when different URLs share same basename
+     ---------------------------- */
+ handleDuplicateFilenames(links) {
+    const urlMap = new Map();     // urlNormalized -> first link seen for that URL
+    const hashMap = new Map();    // contentHash -> first link with those bytes (hashContents)
+    const filenameMap = new Map(); // baseFilename -> array of links (for suffixing)
+    const processed = [];
+
+    links.forEach(link => {
+      const urlKey = link.urlNormalized || this.normalizeUrlForComparison(link.url || '');
+      // baseFilename is the unsuffixed name (possibly user-edited), so re-running never stacks suffixes
+      const baseFilename = link.baseFilename || link.filename || (this.getBasenameAndExtFromUrl(link.url || '').baseName);
+      const ext = link.extension || (this.getBasenameAndExtFromUrl(link.url || '').extension || '');
+
+      // If same exact (normalized) URL seen before -> mark duplicate
+      if (urlMap.has(urlKey)) {
+        const first = urlMap.get(urlKey);
+        link.filename = first.filename;
+        link.filenameWithExt = first.filenameWithExt;
+        link.isDuplicate = 'yes';
+        link.duplicateOf = first.duplicateOf || first.url;
+        link.duplicateReason = first.duplicateReason || 'url';
+        // URLs that only the optional URL matching rules made equal: keep the rules that merged them
+        link.duplicateRules = this.basicUrlNormalizer.normalize(link.url) === this.basicUrlNormalizer.normalize(first.url)
+          ? []
+          : [...new Set([...(first.urlRules || []), ...(link.urlRules || [])])];
+        processed.push(link);
+        return; // do NOT skip pushing: we must keep every DOM row
+      }
+
+      // Same bytes behind a different URL (?v=2, a CDN host) -> duplicate of the first row with them
+      const twin = link.contentHash ? hashMap.get(link.contentHash) : null;
+      if (twin) {
+        link.filename = twin.filename;
+        link.filenameWithExt = twin.filenameWithExt;
+        link.isDuplicate = 'yes';
+        link.duplicateOf = twin.url;
+        link.duplicateReason = 'content';
+        link.duplicateRules = [];
+        urlMap.set(urlKey, link);
+        processed.push(link);
+        return;
+      }
+
+      // Unique URL -> check filename collisions across different URLs
+      if (!filenameMap.has(baseFilename)) filenameMap.set(baseFilename, []);
+      const siblings = filenameMap.get(baseFilename);
+
+      let finalFilename = baseFilename;
+      if (siblings.length > 0) {
+        finalFilename = `${baseFilename}-${siblings.length}`;
+      }
+
+      link.filename = finalFilename;
+      link.filenameWithExt = ext ? `${finalFilename}.${ext}` : finalFilename;
+      link.isDuplicate = 'no';
+      link.duplicateOf = '';
+      link.duplicateReason = '';
+      link.duplicateRules = [];
+
+      // store
+      urlMap.set(urlKey, link);
+      if (link.contentHash) hashMap.set(link.contentHash, link);
+      siblings.push(link);
+      processed.push(link);
+    });
+
+    // debug: show summary in console (remove if noisy)
+    try {
+      console.groupCollapsed('handleDuplicateFilenames summary');
+      console.log('total input rows:', links.length);
       console.log('total processed rows:', processed.length);
       console.log('urlMap size (unique URLs):', urlMap.size);
-      console.table(processed.map(l => ({ url: l.url, urlKey: l.urlNormalized, filename: l.filenameWithExt, isDuplicate: l.isDuplicate })));
+      console.table(processed.map(l => ({ url: l.url, urlKey: l.urlNormalized, filename: l.filenameWithExt, isDuplicate: l.isDuplicate, duplicateOf: l.duplicateOf })));
       console.groupEnd();
     } catch (e) {}
 
-    return processed;
+    return processed;
+  }
+ 
+  /* ----------------------------
+     content hashing (hashContents)
+     - the background worker downloads each unique URL once and hashes it (SHA-256)
+     - rows with the same hash are one file, see getFileKey()
+     ---------------------------- */
+  async hashLinks(links) {
+    const entries = [];
+    const seen = new Set();
+    links.forEach(link => {
+      if (!link.urlNormalized || seen.has(link.urlNormalized)) return;
+      seen.add(link.urlNormalized);
+      entries.push({ key: link.urlNormalized, url: link.url });
+    });
+    if (entries.length === 0) return;
+
+    try {
+      this.hashing = true;
+      this.showStatus(`Hashing ${entries.length} documents...`);
+      const response = await chrome.runtime.sendMessage({ action: 'hashUrls', entries: entries });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Hashing failed');
+      }
+
+      links.forEach(link => {
+        const result = response.results[link.urlNormalized];
+        if (!result || !result.hash) return;
+        link.contentHash = result.hash;
+        // The whole file was fetched, so its size is exact
+        if (!link.probedSize && result.size) {
+          link.probedSize = result.size;
+          link.sizeSource = 'probed';
+          link.tooltip = this.buildTooltip(link.extension, result.size);
+        }
+      });
+    } catch (error) {
+      // Without hashes only identical URLs count as duplicates, as before
+      console.warn('Error hashing documents:', error);
+    } finally {
+      this.hashing = false;
+    }
+  }
+
+  // Rows that are the same file: same content hash when known, otherwise same normalized URL
+  getFileKey(link) {
+    return link.contentHash
+      ? `sha256:${link.contentHash}`
+      : (link.urlNormalized || this.normalizeUrlForComparison(link.url || ''));
+  }
+
+  /* ----------------------------
+     save path template
+     - {placeholders} are filled from link fields, then every path segment
+       is sanitised against what chrome.downloads rejects
+     - duplicate rows (same URL or same content) share the first row's path;
+       different files never collide
+     ---------------------------- */
+  applyPathTemplate(links, settings) {
+    const now = new Date();
+    const firstPathByFile = new Map(); // getFileKey() -> targetPath
+    const usedPaths = new Set();
+
+    links.forEach(link => {
+      const fileKey = this.getFileKey(link);
+      if (firstPathByFile.has(fileKey)) {
+        link.targetPath = firstPathByFile.get(fileKey);
+        return;
+      }
+
+      let targetPath = this.buildTargetPath(link, settings.filenameTemplate, now);
+
+      // Same path from different URLs (e.g. identical titles) would be uniquified on disk
+      // by Chrome and no longer match the sheet, so suffix it here instead
+      const parsed = targetPath.match(/^(.*?)(\.[^./]+)?$/);
+      let counter = 1;
+      while (usedPaths.has(targetPath.toLowerCase())) {
+        targetPath = `${parsed[1]}-${counter}${parsed[2] || ''}`;
+        counter++;
+      }
+
+      usedPaths.add(targetPath.toLowerCase());
+      firstPathByFile.set(fileKey, targetPath);
+      link.targetPath = targetPath;
+    });
+
+    return links;
+  }
+
+  buildTargetPath(link, template, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const hostOf = (rawUrl) => {
+      try {
+        return new URL(rawUrl).hostname;
+      } catch (e) {
+        return '';
+      }
+    };
+
+    const size = this.getLinkSize(link);
+    const fields = {
+      filename: link.filename || 'file',
+      ext: link.extension || '',
+      title: link.title || link.filename || '',
+      host: hostOf(link.pageUrl),
+      fileHost: hostOf(link.url),
+      pageTitle: link.pageTitle || '',
+      selector: link.selectorUsed || '',
+      size: size ? this.humanFileSize(size) : '',
+      yyyy: String(date.getFullYear()),
+      mm: pad(date.getMonth() + 1),
+      dd: pad(date.getDate())
+    };
+
+    const rendered = (template || '{filename}.{ext}').replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in fields)) return match;
+      // A value must never introduce its own folders
+      return String(fields[key]).replace(/[\/\\]+/g, '-');
+    });
+
+    const fallbackName = fields.ext ? `${fields.filename}.${fields.ext}` : fields.filename;
+    return this.sanitizeDownloadPath(rendered, fallbackName);
+  }
+
+  sanitizeDownloadPath(rawPath, fallbackName) {
+    const maxSegmentLength = 100;
+    const maxPathLength = 200;
+    const reservedNames = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+    const segments = String(rawPath)
+      .split(/[\/\\]+/)
+      .map(segment => segment
+        .replace(/[<>:"|?*\u0000-\u001f\u007f]/g, '-')
+        .replace(/\s+/g, ' ')
+        // Leading dots hide files (and ".." escapes Downloads); trailing dots/spaces break on Windows
+        .replace(/^[.\s]+|[.\s]+$/g, ''))
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .map(segment => reservedNames.test(segment) ? `_${segment}` : segment)
+      .map(segment => this.truncatePathSegment(segment, maxSegmentLength));
+
+    if (segments.length === 0) {
+      segments.push(this.truncatePathSegment(fallbackName, maxSegmentLength));
+    }
+
+    // Over-long paths: shorten folders first, then the filename (keeping its extension)
+    let total = segments.join('/').length;
+    for (let i = 0; i < segments.length - 1 && total > maxPathLength; i++) {
+      segments[i] = this.truncatePathSegment(segments[i], 20);
+      total = segments.join('/').length;
+    }
+    if (total > maxPathLength) {
+      const last = segments.length - 1;
+      const room = Math.max(20, maxPathLength - (total - segments[last].length));
+      segments[last] = this.truncatePathSegment(segments[last], room);
+    }
+
+    return segments.join('/');
+  }
+
+  truncatePathSegment(segment, maxLength) {
+    if (segment.length <= maxLength) return segment;
+    const extMatch = segment.match(/\.[0-9a-zA-Z]{1,8}$/);
+    const ext = extMatch ? extMatch[0] : '';
+    return segment.substring(0, maxLength - ext.length).replace(/[.\s]+$/, '') + ext;
+  }
+
+  /* ----------------------------
+     downloads: one per file (unique normalized URL, or unique content hash when hashed)
+     (queued in the background worker so the run survives the popup closing)
+     ---------------------------- */
+  async downloadFiles() {
+    const selectedLinks = this.getSelectedLinks();
+    if (selectedLinks.length === 0) return;
+  
+    try {
+      this.showStatus('Starting downloads...');
+      const settings = this.getSettings();
+
+      // Resolve filenames & duplicates (keeps every row but returns processed array)
+      const processedLinks = this.processLinksForExport(selectedLinks, settings);
+
+      // One download per file
+      const toDownload = this.getUniqueFiles(processedLinks);
+
+      const duplicateCount = processedLinks.length - toDownload.length;
+      if (duplicateCount > 0) {
+        console.log(`Skipping ${duplicateCount} duplicate occurrences (same normalized URL or content) from downloads`);
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'startDownloadJob',
+        items: toDownload.map(link => ({ url: link.url, filename: link.targetPath })),
+        options: {
+          concurrency: settings.downloadConcurrency,
+          maxRetries: settings.downloadRetries
+        }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start downloads');
+      }
+
+      const statusMessage = duplicateCount > 0
+        ? `Queued ${toDownload.length} files. ${duplicateCount} duplicates skipped.`
+        : `Queued ${toDownload.length} files.`;
+
+      this.showStatus(statusMessage);
+      this.renderDownloadJob(response.job);
+      setTimeout(() => {
+        this.hideStatus();
+        this.resultsDiv.classList.remove('hidden');
+      }, 2000);
+
+    } catch (error) {
+      console.error('Error downloading files:', error);
+      this.showStatus(`Download error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  // Reattach to a job that kept running while the popup was closed
+  async loadDownloadJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getDownloadJob' });
+      if (response && response.success) {
+        this.renderDownloadJob(response.job);
+      }
+    } catch (error) {
+      console.warn('Could not load download job:', error);
+    }
+  }
+
+  async sendJobCommand(action) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: action });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Download queue did not respond');
+      }
+      this.renderDownloadJob(response.job);
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+      this.showStatus(`Download error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  renderDownloadJob(job) {
+    if (!job) {
+      this.downloadJobDiv.classList.add('hidden');
+      this.jobListDiv.innerHTML = '';
+      return;
+    }
+
+    const counts = {};
+    job.items.forEach(item => {
+      counts[item.state] = (counts[item.state] || 0) + 1;
+    });
+    const done = (counts.complete || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+    const isActive = job.status === 'running' || job.status === 'paused';
+
+    this.jobSummaryDiv.innerHTML = `
+      <div><strong>${done}/${job.items.length}</strong> processed • ${this.escapeHtml(job.status)}</div>
+      <div>${counts.complete || 0} complete, ${counts.downloading || 0} downloading, ${counts.queued || 0} queued,
+        ${counts.retrying || 0} retrying, ${counts.failed || 0} failed</div>
+    `;
+
+    this.jobListDiv.innerHTML = job.items
+      .map(item => {
+        const percent = item.state === 'complete'
+          ? 100
+          : (item.totalBytes > 0 ? Math.round((item.bytesReceived / item.totalBytes) * 100) : 0);
+        const attempts = item.attempts > 1 ? ` (attempt ${item.attempts})` : '';
+
+        return `
+        <div class="job-item">
+          <div class="job-item-header">
+            <span class="job-filename">${this.escapeHtml(item.filename)}</span>
+            <span class="job-state job-state-${item.state}">${item.state}${attempts}</span>
+          </div>
+          <div class="progress"><div class="progress-bar" style="width: ${percent}%"></div></div>
+          ${item.error ? `<div class="job-error">${this.escapeHtml(item.error)}</div>` : ''}
+        </div>
+      `;
+      }).join('');
+
+    this.pauseJobBtn.disabled = job.status !== 'running';
+    this.resumeJobBtn.disabled = job.status !== 'paused';
+    this.cancelJobBtn.disabled = !isActive;
+    this.clearJobBtn.disabled = isActive;
+    this.downloadJobActive = isActive;
+    this.updateSelectionState();
+    this.downloadJobDiv.classList.remove('hidden');
+  }
+
+  /* ----------------------------
+     watch mode: the content script keeps collecting links while the page changes
+     ---------------------------- */
+  async loadWatchState() {
+    try {
+      const tab = await this.getCurrentTab();
+      // Watch mode runs in the top frame only: with all_frames every iframe has a listener too
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getWatchState' }, { frameId: 0 });
+      if (response && response.success) {
+        this.renderWatchState(response.state);
+      }
+    } catch (error) {
+      // No content script on this page (chrome:// and the like): watch mode isn't available
+      this.watchBtn.disabled = true;
+    }
+  }
+
+  async toggleWatch() {
+    try {
+      const tab = await this.getCurrentTab();
+      const watching = this.watchState && this.watchState.watching;
+      const response = await chrome.tabs.sendMessage(tab.id, watching
+        ? { action: 'stopWatching' }
+        : { action: 'startWatching', settings: this.getSettings() }, { frameId: 0 });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Page did not respond');
+      }
+      this.renderWatchState(response.state);
+    } catch (error) {
+      console.error('Error toggling watch mode:', error);
+      this.showStatus(`Watch error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  renderWatchState(state) {
+    this.watchState = state;
+    const watching = !!(state && state.watching);
+    const count = state ? state.count : 0;
+
+    this.watchBtn.textContent = watching
+      ? `⏹ Stop Watching (${count} found)`
+      : '👁 Watch Page for New Links';
+    this.watchResultsBtn.textContent = `📥 Show Watched Links (${count})`;
+    this.watchResultsBtn.classList.toggle('hidden', count === 0);
+  }
+
+  async loadWatchedLinks() {
+    try {
+      this.showStatus('Loading watched links...');
+      const tab = await this.getCurrentTab();
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getWatchedLinks' }, { frameId: 0 });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Page did not respond');
+      }
+      await this.processPages(response.pages, this.getSettings(), { source: 'watch' });
+    } catch (error) {
+      console.error('Error loading watched links:', error);
+      this.showStatus(`Watch error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  /* ----------------------------
+     network capture: the background records document responses the tab loads
+     (onclick handlers, window.open, form posts) while capture is on
+     ---------------------------- */
+  async loadNetworkCapture() {
+    try {
+      const tab = await this.getCurrentTab();
+      const response = await chrome.runtime.sendMessage({ action: 'getNetworkCapture', tabId: tab.id });
+      if (response && response.success) {
+        this.renderNetworkCapture(response.state);
+      }
+    } catch (error) {
+      console.warn('Could not load network capture state:', error);
+    }
+  }
+
+  async toggleNetworkCapture() {
+    try {
+      const tab = await this.getCurrentTab();
+      const capturing = this.networkCaptureState && this.networkCaptureState.capturing;
+      const response = await chrome.runtime.sendMessage(capturing
+        ? { action: 'stopNetworkCapture', tabId: tab.id }
+        : { action: 'startNetworkCapture', tabId: tab.id, extensions: this.getSettings().fileExtensions });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Network capture did not respond');
+      }
+      this.renderNetworkCapture(response.state);
+    } catch (error) {
+      console.error('Error toggling network capture:', error);
+      this.showStatus(`Capture error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  renderNetworkCapture(state) {
+    this.networkCaptureState = state;
+    this.captureBtn.textContent = state && state.capturing
+      ? `⏹ Stop Capturing (${state.count} captured)`
+      : '📡 Capture Network Documents';
+  }
+
+  // Captured documents the selector scan didn't find are added to their tab's page
+  async addCapturedLinks(pages, settings) {
+    const tabIds = pages.filter(page => page.success && page.tabId !== undefined).map(page => page.tabId);
+    if (tabIds.length === 0) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getNetworkCaptureItems', tabIds: tabIds });
+      if (!response || !response.success) return;
+
+      pages.forEach(page => {
+        const items = page.success ? (response.items[page.tabId] || []) : [];
+        if (items.length === 0) return;
+
+        const known = new Set(page.links.map(link => this.normalizeUrlForComparison(link.url, page.url)));
+        items
+          .filter(item => settings.fileExtensions.includes(item.extension))
+          .filter(item => !known.has(this.normalizeUrlForComparison(item.url)))
+          .forEach(item => page.links.push(this.buildCapturedLink(item, page)));
+      });
+    } catch (error) {
+      console.warn('Could not load captured network documents:', error);
+    }
+  }
+
+  buildCapturedLink(item, page) {
+    const { extension } = this.getBasenameAndExtFromUrl(item.url);
+    return {
+      url: item.url,
+      title: item.filename || '',
+      estimatedSize: item.size || 0,
+      sizeSource: item.size ? 'network' : null,
+      pageUrl: page.url,
+      pageTitle: page.title,
+      uniqueId: `network-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      source: 'network',
+      requestMethod: item.method,
+      // Like extensionless links: the server's answer (not the URL path) decides the extension
+      needsResolution: extension !== item.extension,
+      serverFileInfo: { filename: item.filename, extension: item.extension, contentType: item.contentType }
+    };
+  }
+
+  /* ----------------------------
+     site crawl: runs in the background worker, results are loaded into the list when done
+     ---------------------------- */
+  async startCrawl(settings) {
+    const tab = await this.getCurrentTab();
+    this.showStatus('Starting crawl...');
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'startCrawl',
+      startUrl: tab.url,
+      settings: settings,
+      options: {
+        maxDepth: settings.crawlDepth,
+        maxPages: settings.crawlMaxPages,
+        delayMs: settings.crawlDelayMs,
+        pathPrefix: settings.crawlPathPrefix,
+        include: settings.crawlInclude,
+        exclude: settings.crawlExclude
+      }
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to start crawl');
+    }
+
+    this.hideStatus();
+    this.renderCrawlJob(response.job);
+  }
+
+  // Reattach to a crawl that kept running while the popup was closed
+  async loadCrawlJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCrawlJob' });
+      if (response && response.success) {
+        this.renderCrawlJob(response.job);
+      }
+    } catch (error) {
+      console.warn('Could not load crawl job:', error);
+    }
+  }
+
+  async sendCrawlCommand(action) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: action });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Crawler did not respond');
+      }
+      this.renderCrawlJob(response.job);
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+      this.showStatus(`Crawl error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  renderCrawlJob(job) {
+    const previousStatus = this.crawlStatus;
+    this.crawlStatus = job ? job.status : null;
+
+    if (!job) {
+      this.crawlJobDiv.classList.add('hidden');
+      return;
+    }
+
+    const isRunning = job.status === 'running';
+    const fetched = job.crawled + job.failed;
+    // The queue keeps growing while new pages are discovered, so progress is relative to what is known
+    const total = Math.min(job.maxPages, fetched + job.queued);
+    const percent = isRunning ? (total > 0 ? Math.round((fetched / total) * 100) : 0) : 100;
+
+    this.crawlSummaryDiv.innerHTML = `
+      <div><strong>${job.crawled}</strong> pages crawled • ${this.escapeHtml(job.status)}</div>
+      <div>${job.documents} documents found, ${job.queued} pages queued, ${job.skipped} skipped, ${job.failed} failed</div>
+      <div class="crawl-current" title="${this.escapeHtml(job.currentUrl || job.startUrl)}">
+        ${isRunning && job.currentUrl ? 'Now: ' : 'Started from: '}<em>${this.escapeHtml(job.currentUrl || job.startUrl)}</em>
+      </div>
+    `;
+    this.crawlProgressBar.style.width = `${percent}%`;
+
+    this.cancelCrawlBtn.disabled = !isRunning;
+    this.showCrawlBtn.disabled = isRunning || job.crawled === 0;
+    this.crawlLogBtn.disabled = false;
+    this.clearCrawlBtn.disabled = isRunning;
+    this.crawlJobDiv.classList.remove('hidden');
+
+    // Finished while the popup was watching: show the inventory straight away
+    if (previousStatus === 'running' && !isRunning && job.crawled > 0) {
+      this.loadCrawlResults();
+    }
+  }
+
+  async loadCrawlResults() {
+    try {
+      this.showStatus('Loading crawl results...');
+      const response = await chrome.runtime.sendMessage({ action: 'getCrawlResults' });
+      if (!response || !response.success || !response.job) {
+        throw new Error(response?.error || 'No crawl results');
+      }
+
+      // Failed pages are listed next to the crawled ones in the summary
+      const failedPages = response.job.log
+        .filter(entry => entry.status === 'failed')
+        .map(entry => ({ success: false, url: entry.url, title: '', error: entry.reason }));
+
+      await this.processPages([...response.job.pages, ...failedPages], this.getSettings(),
+        { source: 'crawl', startUrl: response.job.startUrl });
+    } catch (error) {
+      console.error('Error loading crawl results:', error);
+      this.showStatus(`Crawl error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  async downloadCrawlLog() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCrawlResults' });
+      if (!response || !response.success || !response.job) {
+        throw new Error(response?.error || 'No crawl log');
+      }
+
+      const headers = ['url', 'depth', 'status', 'reason'];
+      const rows = response.job.log.map(entry => [
+        this.escapeCsvCell(entry.url),
+        this.escapeCsvCell(entry.depth),
+        this.escapeCsvCell(entry.status),
+        this.escapeCsvCell(entry.reason)
+      ]);
+      const csv = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+
+      let host = 'site';
+      try {
+        host = new URL(response.job.startUrl).hostname || host;
+      } catch (e) {}
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadDataFile(csv, `crawl-log-${host}-${date}.csv`, 'text/csv');
+    } catch (error) {
+      console.error('Error downloading crawl log:', error);
+      this.showStatus(`Crawl error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  /* ----------------------------
+     ZIP bundle: unique files + CSV export + manifest.json
+     - built by the background worker in its offscreen document, so the popup may close
+     - each file is streamed into the archive; ZIPs are limited to 4 GB (no ZIP64)
+     ---------------------------- */
+  async downloadZip() {
+    const selectedLinks = this.getSelectedLinks();
+    if (selectedLinks.length === 0) return;
+
+    try {
+      const settings = this.getSettings();
+      const processedLinks = this.processLinksForExport(selectedLinks, settings);
+      const uniqueLinks = this.getUniqueFiles(processedLinks);
+      if (!this.confirmZipSize(uniqueLinks)) return;
+
+      this.showStatus('Preparing ZIP...');
+
+      // These formats are already compressed; deflating them only burns CPU
+      const precompressed = ['pdf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'zip', 'jpg', 'jpeg', 'png', 'gif', 'mp4'];
+      const files = uniqueLinks.map(link => ({
+        url: link.url,
+        path: link.targetPath,
+        pageUrl: link.pageUrl,
+        filename: link.filenameWithExt,
+        compress: !precompressed.includes((link.extension || '').toLowerCase())
+      }));
+
+      // Messages carry JSON only, so a binary export (Excel) travels as a data: URL
+      const exportFile = await this.createExportFile(processedLinks, settings);
+      const exportEntry = { name: exportFile.filename, compress: exportFile.mimeType !== XlsxWriter.MIME_TYPE };
+      if (exportFile.content instanceof Blob) {
+        exportEntry.dataUrl = await this.blobToDataUrl(exportFile.content);
+      } else {
+        exportEntry.text = exportFile.content;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'startZipJob',
+        files: files,
+        extras: [exportEntry],
+        manifest: {
+          generator: 'Document Link Extractor',
+          createdAt: new Date().toISOString(),
+          pageUrl: this.extractedLinks[0]?.pageUrl || '',
+          pages: this.pageStats.map(page => page.url)
+        },
+        filename: this.buildZipFilename(),
+        saveAs: this.exportSaveAsInput.checked
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Background worker did not respond');
+      }
+      this.renderZipJob(response.job);
+
+    } catch (error) {
+      console.error('Error building ZIP:', error);
+      this.showStatus(`ZIP error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  // Sizes come from probing or the page text; files without one only get a mention
+  confirmZipSize(links) {
+    const knownBytes = links.reduce((total, link) => total + this.getLinkSize(link), 0);
+    const unknownCount = links.filter(link => !this.getLinkSize(link)).length;
+    const unknownNote = unknownCount > 0 ? ` (plus ${unknownCount} ${unknownCount === 1 ? 'file' : 'files'} of unknown size)` : '';
+
+    if (knownBytes > this.zipMaxBytes) {
+      this.showStatus(`ZIP error: the selected files add up to ${this.humanFileSize(knownBytes)}; a ZIP holds at most 4 GB. Select fewer files or use Download.`);
+      setTimeout(() => this.hideStatus(), 5000);
+      return false;
+    }
+    if (knownBytes > this.zipWarnBytes) {
+      return confirm(`The selected files add up to ${this.humanFileSize(knownBytes)}${unknownNote}. ` +
+        'Building the ZIP takes a while and needs that much free disk space. Continue?');
+    }
+    return true;
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Reattach to a ZIP that kept building while the popup was closed
+  async loadZipJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getZipJob' });
+      if (response && response.success && response.job && response.job.status === 'running') {
+        this.renderZipJob(response.job);
+      }
+    } catch (error) {
+      console.warn('Could not load ZIP job:', error);
+    }
+  }
+
+  renderZipJob(job) {
+    const wasActive = this.zipJobActive;
+    this.zipJobActive = !!job && job.status === 'running';
+    this.updateSelectionState();
+    if (!job) return;
+
+    if (job.status === 'running') {
+      const current = job.current ? `: ${job.current}` : '';
+      const received = job.bytes ? ` (${this.humanFileSize(job.bytes)})` : '';
+      this.showStatus(job.done < job.total
+        ? `Zipping ${job.done + 1}/${job.total}${current}${received}`
+        : 'Writing ZIP archive...');
+      return;
+    }
+    // Finished before this popup opened: nothing to report
+    if (!wasActive) return;
+
+    if (job.status === 'failed') {
+      this.showStatus(`ZIP error: ${job.error}`);
+      setTimeout(() => this.hideStatus(), 3000);
+      return;
+    }
+
+    const statusMessage = job.failed > 0
+      ? `ZIP ready: ${job.files} files, ${job.failed} failed (see manifest.json).`
+      : `ZIP ready: ${job.files} files.`;
+    this.showStatus(statusMessage);
+    setTimeout(() => {
+      this.hideStatus();
+      this.resultsDiv.classList.remove('hidden');
+    }, 4000);
+  }
+
+  buildZipFilename() {
+    let host = 'page';
+    try {
+      host = new URL(this.extractedLinks[0]?.pageUrl).hostname || host;
+    } catch (e) {}
+    const date = new Date().toISOString().slice(0, 10);
+    return `document-links-${host}-${date}.zip`;
+  }
+
+  /* ----------------------------
+     link validation
+     - one request per unique urlNormalized among the selected rows, made by the background worker
+     - link.validation: { outcome, status, httpStatus, finalUrl, contentType, error }
+       outcome: ok | redirected | html (soft 404 / login wall) | broken | error
+     ---------------------------- */
+  async validateLinks() {
+    const links = this.getSelectedLinks();
+    const entries = [];
+    const seen = new Set();
+    links.forEach(link => {
+      const key = link.urlNormalized || this.normalizeUrlForComparison(link.url || '');
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      entries.push({ key: key, url: link.url });
+    });
+    if (entries.length === 0) return;
+
+    try {
+      this.validating = true;
+      this.validateBtn.disabled = true;
+      this.showStatus(`Validating ${entries.length} URLs...`);
+      const response = await chrome.runtime.sendMessage({ action: 'validateUrls', entries: entries });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Validation failed');
+      }
+
+      links.forEach(link => {
+        const result = response.results[link.urlNormalized || this.normalizeUrlForComparison(link.url || '')];
+        if (result) link.validation = this.classifyValidation(link, result);
+      });
+
+      this.hideStatus();
+      this.renderValidationReport();
+      this.renderLinksList();
+    } catch (error) {
+      console.error('Error validating links:', error);
+      this.showStatus(`Validation error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    } finally {
+      this.validating = false;
+      this.updateSelectionState();
+    }
+  }
+
+  classifyValidation(link, result) {
+    const validation = {
+      httpStatus: result.status || null,
+      finalUrl: result.finalUrl || link.url,
+      contentType: result.contentType || '',
+      error: result.error || null
+    };
+
+    // An HTML answer for a .pdf link is an error page or a login wall dressed up as a 200
+    const isHtml = /^(text\/html|application\/xhtml\+xml)$/.test(validation.contentType);
+    const expectsHtml = ['html', 'htm', 'xhtml'].includes((link.extension || '').toLowerCase());
+
+    if (!result.status) {
+      validation.outcome = 'error';
+      validation.status = result.error === 'timeout' ? 'timeout' : 'network_error';
+    } else if (result.status >= 400) {
+      validation.outcome = 'broken';
+      validation.status = `http_${result.status}`;
+    } else if (isHtml && !expectsHtml) {
+      validation.outcome = 'html';
+      validation.status = 'html_page';
+    } else if (result.redirected && this.normalizeUrlForComparison(validation.finalUrl) !== this.normalizeUrlForComparison(link.url)) {
+      validation.outcome = 'redirected';
+      validation.status = 'redirected';
+    } else {
+      validation.outcome = 'ok';
+      validation.status = 'ok';
+    }
+    return validation;
+  }
+
+  // The export "status" column: the validation result once checked
+  getLinkStatus(link) {
+    return link.validation ? link.validation.status : 'extracted';
+  }
+
+  describeValidationStatus(status) {
+    if (status === 'timeout') return 'Timed out';
+    if (status === 'network_error') return 'Network error';
+    if (status === 'html_page') return 'HTML page instead of a document';
+    const http = status.match(/^http_(\d+)$/);
+    return http ? `HTTP ${http[1]}` : status;
+  }
+
+  renderValidationReport() {
+    const checked = new Map(); // urlNormalized -> link, so duplicate rows count once
+    this.extractedLinks
+      .filter(link => link.validation)
+      .forEach(link => {
+        if (!checked.has(link.urlNormalized)) checked.set(link.urlNormalized, link);
+      });
+
+    if (checked.size === 0) {
+      this.validationReportDiv.classList.add('hidden');
+      return;
+    }
+
+    const counts = { ok: 0, redirected: 0, failed: 0 };
+    const groups = new Map(); // status -> links
+    checked.forEach(link => {
+      const { outcome, status } = link.validation;
+      if (outcome === 'ok' || outcome === 'redirected') {
+        counts[outcome]++;
+        return;
+      }
+      counts.failed++;
+      if (!groups.has(status)) groups.set(status, []);
+      groups.get(status).push(link);
+    });
+
+    const details = [...groups.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([status, links]) => `
+        <details class="validation-group">
+          <summary><span class="validation-badge validation-failed">${this.escapeHtml(this.describeValidationStatus(status))}</span> ×${links.length}</summary>
+          <ul class="diff-list">
+            ${links.map(link => `<li title="${this.escapeHtml(link.validation.finalUrl)}">${this.escapeHtml(link.url)}${link.validation.finalUrl !== link.url ? ` → ${this.escapeHtml(link.validation.finalUrl)}` : ''}</li>`).join('')}
+          </ul>
+        </details>
+      `).join('');
+
+    this.validationReportDiv.innerHTML = `
+      <div><strong>${checked.size}</strong> URLs validated: ${counts.ok} ok, ${counts.redirected} redirected, <strong>${counts.failed}</strong> failed</div>
+      ${details}
+    `;
+    this.validationReportDiv.classList.remove('hidden');
+  }
+
+  renderValidationBadge(link) {
+    if (!link.validation) return '';
+    const { outcome, status, finalUrl } = link.validation;
+    const failed = !['ok', 'redirected'].includes(outcome);
+    return ` • <span class="validation-badge validation-${failed ? 'failed' : outcome}" title="${this.escapeHtml(finalUrl)}">${this.escapeHtml(failed ? this.describeValidationStatus(status) : status)}</span>`;
+  }
+
+  /* ----------------------------
+     page monitoring (runs in the background worker on a schedule)
+     - interval and auto-download belong to the monitor, not the profile;
+       the profile settings in use when monitoring starts are the extraction rules
+     ---------------------------- */
+  async toggleMonitors() {
+    const show = this.monitorsDiv.classList.contains('hidden');
+    this.monitorsDiv.classList.toggle('hidden', !show);
+    if (show) await this.sendMonitorCommand({ action: 'getPageMonitors' });
+  }
+
+  async addPageMonitor() {
+    await this.sendMonitorCommand({
+      action: 'addPageMonitor',
+      url: this.currentUrl,
+      settings: this.getSettings(),
+      options: {
+        intervalMinutes: parseInt(this.monitorIntervalSelect.value, 10),
+        autoDownload: this.monitorAutoDownloadInput.checked
+      }
+    });
+  }
+
+  async sendMonitorCommand(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Page monitor did not respond');
+      }
+      this.renderMonitors(response.monitors);
+    } catch (error) {
+      console.error(`Error running ${message.action}:`, error);
+      this.showStatus(`Monitor error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  getCurrentPageMonitor(monitors) {
+    const key = this.normalizePageUrl(this.currentUrl);
+    return monitors.find(monitor => this.normalizePageUrl(monitor.url) === key) || null;
+  }
+
+  formatInterval(minutes) {
+    const option = Array.from(this.monitorIntervalSelect.options).find(opt => parseInt(opt.value, 10) === minutes);
+    return option ? option.textContent.toLowerCase() : `every ${minutes} minutes`;
+  }
+
+  renderMonitors(monitors) {
+    this.monitors = monitors;
+    const current = this.getCurrentPageMonitor(monitors);
+    const canMonitor = /^https?:/i.test(this.currentUrl);
+
+    this.monitorAddBtn.disabled = !canMonitor;
+    this.monitorAddBtn.textContent = current ? 'Update monitoring' : '📡 Monitor this page';
+    if (current && !this.monitorFormTouched) {
+      this.monitorIntervalSelect.value = String(current.intervalMinutes);
+      this.monitorAutoDownloadInput.checked = current.autoDownload;
+    }
+
+    if (monitors.length === 0) {
+      this.monitorListDiv.innerHTML = '<div class="job-item">No pages are monitored yet.</div>';
+      return;
+    }
+
+    const when = (iso) => iso ? new Date(iso).toLocaleString() : 'never';
+    this.monitorListDiv.innerHTML = monitors.map(monitor => {
+      const status = monitor.checking
+        ? 'checking…'
+        : monitor.status === 'failed'
+          ? `<span class="page-error">failed: ${this.escapeHtml(monitor.error || 'unknown error')}</span>`
+          : monitor.status === 'pending' ? 'not checked yet' : `${monitor.documentCount} documents`;
+      const recent = monitor.newItems.slice(0, 5).map(item => `
+        <li class="diff-added" title="${this.escapeHtml(item.url)}">
+          ${this.escapeHtml(item.title || item.filename || item.url)} <em>${this.escapeHtml(new Date(item.foundAt).toLocaleDateString())}</em>
+        </li>`).join('');
+
+      return `
+        <div class="job-item${monitor === current ? ' monitor-current' : ''}">
+          <div class="job-item-header">
+            <span class="job-filename" title="${this.escapeHtml(monitor.url)}">${this.escapeHtml(monitor.title || monitor.url)}</span>
+            <span class="history-actions">
+              <button type="button" class="sort-btn" data-monitor-action="check" data-id="${this.escapeHtml(monitor.id)}" ${monitor.checking ? 'disabled' : ''}>Check now</button>
+              <button type="button" class="sort-btn" data-monitor-action="remove" data-id="${this.escapeHtml(monitor.id)}">Stop</button>
+            </span>
+          </div>
+          <div class="link-meta">
+            ${this.escapeHtml(this.formatInterval(monitor.intervalMinutes))}${monitor.autoDownload ? ' • auto-download' : ''}
+            • checked ${this.escapeHtml(when(monitor.lastCheckedAt))} • ${status}
+          </div>
+          ${recent ? `<ul class="diff-list">${recent}</ul>` : ''}
+        </div>
+      `;
+    }).join('');
   }
- 
+
+  handleMonitorAction(action, id) {
+    if (action === 'check') {
+      this.sendMonitorCommand({ action: 'checkPageMonitor', id: id });
+    } else if (action === 'remove') {
+      if (!confirm('Stop monitoring this page?')) return;
+      this.sendMonitorCommand({ action: 'removePageMonitor', id: id });
+    }
+  }
+
   /* ----------------------------
-     downloads: only unique normalized URLs
+     extraction history (IndexedDB, see history-store.js)
+     - every processed run is stored; runs of one page share a pageKey and can be compared
+     - reopening a run restores its results, so it can be exported again without the page
      ---------------------------- */
-  async downloadFiles() {
-    if (!this.extractedLinks || this.extractedLinks.length === 0) return;
-  
+  getHistoryPageKey(pages, runInfo = {}) {
+    if (runInfo.source === 'crawl' && runInfo.startUrl) {
+      return `crawl ${this.normalizePageUrl(runInfo.startUrl)}`;
+    }
+    const urls = pages.filter(page => page.success).map(page => this.normalizePageUrl(page.url));
+    return [...new Set(urls)].sort().join(' | ');
+  }
+
+  async saveHistoryRun(pages, settings, runInfo = {}) {
+    const first = pages.find(page => page.success) || pages[0];
+    const run = {
+      pageKey: this.getHistoryPageKey(pages, runInfo),
+      pageUrl: runInfo.startUrl || first.url,
+      pageTitle: first.title || '',
+      source: runInfo.source || 'extract',
+      settings: settings,
+      pageStats: this.pageStats,
+      zoneStats: this.zoneStats,
+      links: this.extractedLinks
+    };
+
     try {
-      this.showStatus('Starting downloads...');
+      const id = await this.historyStore.addRun(run);
+      this.currentRun = { id: id, pageKey: run.pageKey };
+    } catch (error) {
+      // History is a convenience; the extraction itself still worked
+      console.warn('Could not save extraction history:', error);
+      this.currentRun = null;
+    }
+  }
 
-      // Resolve filenames & duplicates (keeps every row but returns processed array)
-      const processedLinks = this.handleDuplicateFilenames([...this.extractedLinks]);
-
-      // Unique normalized URLs only (download once per normalized URL)
-      const seen = new Set();
-      const toDownload = [];
-      processedLinks.forEach(lk => {
-        const key = lk.urlNormalized || this.normalizeUrlForComparison(lk.url || '');
-        if (!seen.has(key)) {
-          seen.add(key);
-          toDownload.push(lk);
-        }
-      });
+  async toggleHistory() {
+    const show = this.historyDiv.classList.contains('hidden');
+    this.historyDiv.classList.toggle('hidden', !show);
+    if (show) await this.loadHistory();
+  }
 
-      const duplicateCount = processedLinks.length - toDownload.length;
-      let downloaded = 0;
-      const total = toDownload.length;
+  async loadHistory() {
+    try {
+      const pageKey = this.historyAllPagesInput.checked ? null : this.normalizePageUrl(this.currentUrl);
+      this.renderHistory(await this.historyStore.listRuns({ pageKey: pageKey }));
+    } catch (error) {
+      console.error('Error loading history:', error);
+      this.historyListDiv.innerHTML = `<div class="job-item page-error">Could not read history: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
 
-      if (duplicateCount > 0) {
-        console.log(`Skipping ${duplicateCount} duplicate occurrences (same normalized URL) from downloads`);
+  renderHistory(runs) {
+    if (runs.length === 0) {
+      this.historyListDiv.innerHTML = `<div class="job-item">${this.historyAllPagesInput.checked
+        ? 'No extractions saved yet.'
+        : 'No saved extractions for this page. Tick "All pages" to see the others.'}</div>`;
+      return;
+    }
+
+    this.historyListDiv.innerHTML = runs.map(run => `
+      <div class="job-item">
+        <div class="job-item-header">
+          <span class="job-filename">${this.escapeHtml(new Date(run.createdAt).toLocaleString())} • ${run.linkCount} links${run.source !== 'extract' ? ` • ${this.escapeHtml(run.source)}` : ''}</span>
+          <span class="history-actions">
+            <button type="button" class="sort-btn" data-history-action="open" data-id="${run.id}">Open</button>
+            <button type="button" class="sort-btn" data-history-action="compare" data-id="${run.id}">Compare</button>
+            <button type="button" class="sort-btn" data-history-action="delete" data-id="${run.id}">Delete</button>
+          </span>
+        </div>
+        <div class="link-meta crawl-current" title="${this.escapeHtml(run.pageKey)}">${this.escapeHtml(run.pageTitle || run.pageUrl)}</div>
+      </div>
+    `).join('');
+  }
+
+  async handleHistoryAction(action, id) {
+    try {
+      if (action === 'open') {
+        await this.openHistoryRun(id);
+      } else if (action === 'compare') {
+        await this.compareHistoryRun(id);
+      } else if (action === 'delete') {
+        if (!confirm('Delete this saved extraction?')) return;
+        await this.historyStore.deleteRun(id);
+        if (this.currentRun && this.currentRun.id === id) this.currentRun = null;
+        await this.loadHistory();
+      }
+    } catch (error) {
+      console.error(`Error in history action "${action}":`, error);
+      this.showStatus(`History error: ${error.message}`);
+      setTimeout(() => this.hideStatus(), 3000);
+    }
+  }
+
+  async openHistoryRun(id) {
+    const run = await this.historyStore.getRun(id);
+    if (!run) throw new Error('That extraction is no longer saved');
+
+    this.extractedLinks = run.links || [];
+    this.pageStats = run.pageStats || [];
+    this.zoneStats = run.zoneStats || [];
+    this.selectedIds = new Set(this.extractedLinks.map(link => link.uniqueId));
+    this.currentRun = { id: run.id, pageKey: run.pageKey };
+    this.displayResults();
+  }
+
+  async compareHistoryRun(id) {
+    const run = await this.historyStore.getRun(id);
+    if (!run) throw new Error('That extraction is no longer saved');
+
+    const previous = await this.historyStore.getPreviousRun(run.pageKey, run.id);
+    this.historyDiv.classList.remove('hidden');
+    if (!previous) {
+      this.lastDiff = null;
+      this.historyDiffDiv.innerHTML = '<div class="summary">No earlier extraction of this page to compare with.</div>';
+      this.historyDiffDiv.classList.remove('hidden');
+      return;
+    }
+
+    // Each run saved the keys of the rules active back then; match both on today's rules
+    const rekey = (links) => (links || []).map(link => ({
+      ...link,
+      urlNormalized: this.normalizeUrlForComparison(link.url, link.pageUrl)
+    }));
+    this.lastDiff = { older: previous, newer: run, diff: HistoryStore.diffRuns(rekey(previous.links), rekey(run.links)) };
+    this.renderHistoryDiff();
+  }
+
+  renderHistoryDiff() {
+    const { older, newer, diff } = this.lastDiff;
+    const item = (type, link, detail = '') => `
+      <li class="diff-${type}">
+        <span title="${this.escapeHtml(link.url)}">${this.escapeHtml(link.title || link.filenameWithExt || link.url)}</span>${detail}
+      </li>`;
+    const sizeText = (bytes) => this.humanFileSize(bytes);
+    const changeText = (change) => change.field === 'size'
+      ? `size ${sizeText(change.before)} → ${sizeText(change.after)}`
+      : `title "${this.escapeHtml(change.before)}" → "${this.escapeHtml(change.after)}"`;
+
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    this.historyDiffDiv.innerHTML = `
+      <div class="summary">
+        <div>${this.escapeHtml(new Date(older.createdAt).toLocaleString())} → ${this.escapeHtml(new Date(newer.createdAt).toLocaleString())}</div>
+        <div><strong>${diff.added.length}</strong> added, <strong>${diff.removed.length}</strong> removed, <strong>${diff.changed.length}</strong> changed</div>
+      </div>
+      ${total > 0 ? `
+        <ul class="diff-list">
+          ${diff.added.map(link => item('added', link, ' <em>added</em>')).join('')}
+          ${diff.removed.map(link => item('removed', link, ' <em>removed</em>')).join('')}
+          ${diff.changed.map(entry => item('changed', entry.link, ` <em>${entry.changes.map(changeText).join(', ')}</em>`)).join('')}
+        </ul>
+        <button type="button" id="historyDiffCsvBtn" class="btn btn-small">📝 Download diff (CSV)</button>
+      ` : '<div class="link-meta">No documents were added, removed or changed.</div>'}
+    `;
+    this.historyDiffDiv.classList.remove('hidden');
+  }
+
+  downloadHistoryDiff() {
+    if (!this.lastDiff) return;
+    const { newer, diff } = this.lastDiff;
+
+    const headers = ['change', 'url', 'title', 'previous_title', 'size_bytes', 'previous_size_bytes', 'page_url'];
+    const row = (change, link, previous = null) => [
+      change,
+      link.url,
+      link.title || '',
+      previous ? previous.title || '' : '',
+      HistoryStore.linkSize(link) || '',
+      previous ? HistoryStore.linkSize(previous) || '' : '',
+      link.pageUrl || ''
+    ].map(value => this.escapeCsvCell(value)).join(',');
+
+    const csv = '\uFEFF' + [
+      headers.join(','),
+      ...diff.added.map(link => row('added', link)),
+      ...diff.removed.map(link => row('removed', link)),
+      ...diff.changed.map(entry => row('changed', entry.link, entry.previous))
+    ].join('\n');
+
+    let host = 'page';
+    try {
+      host = new URL(newer.pageUrl).hostname || host;
+    } catch (e) {}
+    this.downloadDataFile(csv, `document-diff-${host}-${newer.createdAt.slice(0, 10)}.csv`, 'text/csv');
+  }
+
+  /* ----------------------------
+     media path rewrite
+     - ordered rules map the link's URL path to its target media path; first match wins
+     - "prefix -> replacement" or "^regex$ -> $1" (paths start with "/", so regexes are marked by "^")
+     - rows no rule matches fall back to the media prefixes
+     ---------------------------- */
+  parseRewriteRules(text, matchCase = false) {
+    const rules = [];
+    const errors = [];
+
+    (text || '').split('\n').forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const arrow = line.match(/\s*(?:→|->)\s*/);
+      if (!arrow) {
+        errors.push(`Line ${index + 1}: expected "pattern -> replacement"`);
+        return;
+      }
+      const pattern = line.slice(0, arrow.index);
+      const replacement = line.slice(arrow.index + arrow[0].length);
+      if (!pattern) {
+        errors.push(`Line ${index + 1}: missing pattern`);
+        return;
       }
 
-      for (const link of toDownload) {
+      if (pattern.startsWith('^')) {
         try {
-          this.showStatus(`Downloading ${downloaded + 1}/${total}: ${link.filenameWithExt}`);
-          await chrome.downloads.download({
-            url: link.url,
-            filename: link.filenameWithExt,
-            conflictAction: 'uniquify',
-            saveAs: false
-          });
-          downloaded++;
+          rules.push({ type: 'regex', regex: new RegExp(pattern, matchCase ? '' : 'i'), replacement });
         } catch (error) {
-          console.error(`Failed to download ${link.url}:`, error);
+          errors.push(`Line ${index + 1}: ${error.message}`);
         }
+      } else {
+        rules.push({ type: 'prefix', prefix: pattern, replacement, matchCase });
       }
+    });
 
-      const statusMessage = duplicateCount > 0 
-        ? `Download complete! ${downloaded}/${total} files downloaded. ${duplicateCount} duplicates skipped.`
-        : `Download complete! ${downloaded}/${total} files downloaded.`;
+    return { rules, errors };
+  }
 
-      this.showStatus(statusMessage);
-      setTimeout(() => this.hideStatus(), 5000);
+  // Decoded path of the link's URL, e.g. "/-/media/files/annual report.pdf"
+  getRewriteSourcePath(rawUrl) {
+    try {
+      const pathname = new URL(rawUrl).pathname;
+      try {
+        return decodeURI(pathname);
+      } catch (e) {
+        return pathname;
+      }
+    } catch (error) {
+      return '';
+    }
+  }
+
+  rewriteMediaPath(rawUrl, rules) {
+    const path = this.getRewriteSourcePath(rawUrl);
+    if (!path) return null;
+
+    for (const rule of rules) {
+      if (rule.type === 'regex') {
+        if (rule.regex.test(path)) return path.replace(rule.regex, rule.replacement);
+      } else {
+        const head = path.slice(0, rule.prefix.length);
+        const matches = rule.matchCase ? head === rule.prefix : head.toLowerCase() === rule.prefix.toLowerCase();
+        if (matches) return rule.replacement + path.slice(rule.prefix.length);
+      }
+    }
+    return null;
+  }
+
+  // Rewritten path, or the prefix + filename the exports always used
+  getMediaPath(link, rules, prefix, withExtension = true) {
+    const rewritten = rules.length > 0 ? this.rewriteMediaPath(link.url, rules) : null;
+    if (rewritten !== null) {
+      return withExtension ? rewritten : rewritten.replace(/\.[^./]+$/, '');
+    }
+    return `${prefix}/${(withExtension ? link.filenameWithExt : link.filename) || ''}`;
+  }
+
+  // Only the link's own extension: a template without {ext} may end in "v1.2"
+  stripExtension(path, extension) {
+    const suffix = extension ? `.${extension}` : '';
+    return suffix && path.toLowerCase().endsWith(suffix.toLowerCase()) ? path.slice(0, -suffix.length) : path;
+  }
+
+  getMediaRewriteRules(settings = this.getSettings()) {
+    return this.parseRewriteRules(settings.mediaRewriteRules, settings.mediaRewriteMatchCase).rules;
+  }
+
+  refreshMediaRewrite() {
+    const { errors } = this.parseRewriteRules(this.mediaRewriteRulesInput.value, this.mediaRewriteMatchCaseInput.checked);
+    this.mediaRewriteErrorsDiv.textContent = errors.join(' • ');
+    this.mediaRewriteErrorsDiv.classList.toggle('hidden', errors.length === 0);
+
+    if (this.extractedLinks.length > 0) {
+      this.renderLinksList();
+    }
+  }
+
+  renderMediaPreview(link, rules) {
+    if (rules.length === 0) return '';
+    const rewritten = this.rewriteMediaPath(link.url, rules);
+    return rewritten !== null
+      ? `<div class="link-meta media-preview" title="Media path">→ ${this.escapeHtml(rewritten)}</div>`
+      : '<div class="link-meta media-preview unmatched">→ no rewrite rule matched</div>';
+  }
 
+  /* ----------------------------
+     HTML snippet templates
+     - {{field}} is always escaped; {{#each links}}, {{#if field}}, {{#unless field}} and {{else}} nest freely
+     - built-ins are read-only; saved templates live in sync under template:<id>, ordered by snippetTemplateIds
+     ---------------------------- */
+  getBuiltinSnippetTemplates() {
+    return [
+      {
+        id: 'button',
+        name: 'Button links (built-in)',
+        body: `<!-- Generated by Document Link Extractor Chrome Extension -->
+<!-- Total: {{count}} links -->
+
+{{#each links}}<a href="{{href}}"
+   title="{{EXT}}, {{#if size}}{{size}}{{else}}Unknown size{{/if}} opens in a new window"
+   target="_blank"
+   class="button-label align-items-center d-inline-flex text-decoration-none text-primary-1 pt-sm-2 pb-sm-2 ps-sm-3 pe-sm-3">
+   {{#if title}}<span class="icon icon-arrow-in-down"></span> {{title}}{{else}}<span class="icon icon-arrow-in-down"></span>{{/if}}
+</a>{{#unless @last}}
+
+{{/unless}}{{/each}}`
+      },
+      {
+        id: 'list',
+        name: 'List items (built-in)',
+        body: `<ul class="document-list">
+{{#each links}}  <li>
+    <a href="{{href}}" target="_blank">{{#if title}}{{title}}{{else}}{{filenameWithExt}}{{/if}}</a>
+    <span class="document-meta">({{EXT}}{{#if size}}, {{size}}{{/if}})</span>
+  </li>
+{{/each}}</ul>`
+      },
+      {
+        id: 'table',
+        name: 'Table rows (built-in)',
+        body: `<table class="document-table">
+  <thead>
+    <tr><th>Document</th><th>Type</th><th>Size</th></tr>
+  </thead>
+  <tbody>
+{{#each links}}    <tr>
+      <td><a href="{{href}}" target="_blank">{{#if title}}{{title}}{{else}}{{filenameWithExt}}{{/if}}</a></td>
+      <td>{{EXT}}</td>
+      <td>{{#if size}}{{size}}{{else}}-{{/if}}</td>
+    </tr>
+{{/each}}  </tbody>
+</table>`
+      },
+      {
+        id: 'cards',
+        name: 'Cards with file icon (built-in)',
+        body: `<div class="document-cards">
+{{#each links}}  <div class="document-card">
+    <span class="file-icon file-icon-{{ext}}" aria-hidden="true">{{EXT}}</span>
+    <div class="document-card-body">
+      <a href="{{href}}" target="_blank">{{#if title}}{{title}}{{else}}{{filenameWithExt}}{{/if}}</a>
+      {{#if size}}<span class="document-size">{{size}}</span>{{/if}}
+    </div>
+  </div>
+{{/each}}</div>`
+      }
+    ];
+  }
+
+  getSnippetTemplate(id) {
+    const templates = [...this.getBuiltinSnippetTemplates(), ...this.snippetTemplates];
+    return templates.find(template => template.id === id) || templates[0];
+  }
+
+  isBuiltinSnippetTemplate(id) {
+    return this.getBuiltinSnippetTemplates().some(template => template.id === id);
+  }
+
+  async loadSnippetTemplates() {
+    try {
+      const { snippetTemplateIds = [] } = await chrome.storage.sync.get('snippetTemplateIds');
+      const stored = await chrome.storage.sync.get(snippetTemplateIds.map(id => `template:${id}`));
+      this.snippetTemplates = snippetTemplateIds.map(id => stored[`template:${id}`]).filter(Boolean);
     } catch (error) {
-      console.error('Error downloading files:', error);
-      this.showStatus(`Download error: ${error.message}`);
-      setTimeout(() => this.hideStatus(), 3000);
+      console.error('Error loading snippet templates:', error);
+      this.snippetTemplates = [];
+    }
+    this.renderSnippetTemplateOptions();
+  }
+
+  renderSnippetTemplateOptions() {
+    const selected = this.snippetTemplateSelect.value;
+    const option = (template) => `<option value="${this.escapeHtml(template.id)}">${this.escapeHtml(template.name)}</option>`;
+
+    this.snippetTemplateSelect.innerHTML =
+      this.getBuiltinSnippetTemplates().map(option).join('') +
+      (this.snippetTemplates.length > 0
+        ? `<optgroup label="Saved">${this.snippetTemplates.map(option).join('')}</optgroup>`
+        : '');
+
+    if (selected) this.snippetTemplateSelect.value = selected;
+    // A deleted (or not yet synced) template falls back to the first built-in
+    if (!this.snippetTemplateSelect.value) this.snippetTemplateSelect.value = 'button';
+  }
+
+  renderSnippetEditor() {
+    if (!this.snippetTemplateSelect.value) this.snippetTemplateSelect.value = 'button';
+    const template = this.getSnippetTemplate(this.snippetTemplateSelect.value);
+    const builtin = this.isBuiltinSnippetTemplate(template.id);
+
+    this.snippetTemplateNameInput.value = template.name;
+    this.snippetTemplateBodyInput.value = template.body;
+    this.snippetTemplateNameInput.readOnly = builtin;
+    this.snippetTemplateBodyInput.readOnly = builtin;
+    this.deleteTemplateBtn.disabled = builtin;
+    this.snippetTemplateInfo.textContent = builtin
+      ? 'Built-in templates are read-only; ➕ saves a copy you can edit'
+      : 'Changes are saved automatically';
+
+    this.renderSnippetPreview();
+  }
+
+  handleSnippetTemplateInput() {
+    const template = this.snippetTemplates.find(t => t.id === this.snippetTemplateSelect.value);
+    if (!template) return;
+
+    template.name = this.snippetTemplateNameInput.value.trim() || 'Untitled template';
+    template.body = this.snippetTemplateBodyInput.value;
+    this.renderSnippetPreview();
+
+    clearTimeout(this.templateSaveTimer);
+    this.templateSaveTimer = setTimeout(async () => {
+      try {
+        await chrome.storage.sync.set({ [`template:${template.id}`]: template });
+        this.renderSnippetTemplateOptions();
+      } catch (error) {
+        console.error('Error saving snippet template:', error);
+        this.snippetTemplateErrorDiv.textContent = `Could not save template: ${error.message}`;
+        this.snippetTemplateErrorDiv.classList.remove('hidden');
+      }
+    }, 400);
+  }
+
+  async createSnippetTemplate() {
+    const source = this.getSnippetTemplate(this.snippetTemplateSelect.value);
+    const id = `t-${Date.now().toString(36)}`;
+    const template = {
+      id: id,
+      name: `${source.name.replace(/ \(built-in\)$/, '')} (copy)`,
+      body: this.snippetTemplateBodyInput.value || source.body
+    };
+
+    try {
+      this.snippetTemplates.push(template);
+      await chrome.storage.sync.set({
+        [`template:${id}`]: template,
+        snippetTemplateIds: this.snippetTemplates.map(t => t.id)
+      });
+      this.renderSnippetTemplateOptions();
+      this.snippetTemplateSelect.value = id;
+      this.renderSnippetEditor();
+      this.scheduleSave();
+    } catch (error) {
+      console.error('Error creating snippet template:', error);
+      this.snippetTemplates = this.snippetTemplates.filter(t => t.id !== id);
+    }
+  }
+
+  async deleteSnippetTemplate() {
+    const template = this.snippetTemplates.find(t => t.id === this.snippetTemplateSelect.value);
+    if (!template) return;
+    if (!confirm(`Delete template "${template.name}"?`)) return;
+
+    try {
+      this.snippetTemplates = this.snippetTemplates.filter(t => t.id !== template.id);
+      await chrome.storage.sync.remove(`template:${template.id}`);
+      await chrome.storage.sync.set({ snippetTemplateIds: this.snippetTemplates.map(t => t.id) });
+      this.snippetTemplateSelect.value = 'button';
+      this.renderSnippetTemplateOptions();
+      this.renderSnippetEditor();
+      this.scheduleSave();
+    } catch (error) {
+      console.error('Error deleting snippet template:', error);
+    }
+  }
+
+  renderSnippetPreview() {
+    const sample = {
+      url: 'https://example.com/files/annual-report-2025.pdf',
+      title: 'Annual Report 2025',
+      filename: 'annual-report-2025',
+      filenameWithExt: 'annual-report-2025.pdf',
+      extension: 'pdf',
+      estimatedSize: 2400000,
+      pageUrl: 'https://example.com/investors',
+      pageTitle: 'Investors'
+    };
+    const selected = this.getSelectedLinks();
+    const links = selected.length > 0 ? selected.slice(0, 5) : [sample];
+
+    try {
+      const html = this.renderSnippetTemplate(this.snippetTemplateBodyInput.value, this.buildSnippetContext(links, this.getSettings()));
+      this.snippetPreviewFrame.srcdoc = html;
+      this.snippetTemplateErrorDiv.classList.add('hidden');
+    } catch (error) {
+      this.snippetTemplateErrorDiv.textContent = error.message;
+      this.snippetTemplateErrorDiv.classList.remove('hidden');
+    }
+  }
+
+  // Fields one {{#each links}} iteration can use
+  buildSnippetContext(links, settings) {
+    const rewriteRules = this.getMediaRewriteRules(settings);
+    return {
+      count: links.length,
+      date: new Date().toISOString().slice(0, 10),
+      links: links.map(link => {
+        const size = this.getLinkSize(link);
+        const extension = (link.extension || '').toLowerCase();
+        return {
+          href: this.getMediaPath(link, rewriteRules, settings.mediaPrefixHtml),
+          url: link.url || '',
+          title: settings.innerContent ? (link.title || '') : '',
+          filename: link.filename || '',
+          filenameWithExt: link.filenameWithExt || '',
+          ext: extension,
+          EXT: extension.toUpperCase(),
+          size: size ? this.humanFileSize(size) : '',
+          sizeBytes: size || '',
+          tooltip: link.tooltip || '',
+          pageUrl: link.pageUrl || '',
+          pageTitle: link.pageTitle || '',
+          source: link.source || ''
+        };
+      })
+    };
+  }
+
+  renderSnippetTemplate(body, context) {
+    return this.renderSnippetNodes(this.parseSnippetTemplate(body), [context]);
+  }
+
+  // -> tree of { type: 'text' | 'var' | 'each' | 'if' | 'unless', ... }; throws on unbalanced blocks
+  parseSnippetTemplate(body) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const target = () => (current().inElse ? current().elseChildren : current().children);
+
+    (body || '').split(/(\{\{[^{}]*\}\})/).forEach(token => {
+      if (!token) return;
+
+      const tag = token.match(/^\{\{\s*(.*?)\s*\}\}$/);
+      if (!tag) {
+        target().push({ type: 'text', value: token });
+        return;
+      }
+
+      const expression = tag[1];
+      const open = expression.match(/^#(each|if|unless)\s+([@\w.]+)$/);
+      const close = expression.match(/^\/(each|if|unless)$/);
+
+      if (open) {
+        const block = { type: open[1], name: open[2], children: [], elseChildren: [], inElse: false };
+        target().push(block);
+        stack.push(block);
+      } else if (close) {
+        if (current().type !== close[1]) {
+          throw new Error(`Unexpected {{/${close[1]}}}${stack.length > 1 ? `, expected {{/${current().type}}}` : ''}`);
+        }
+        stack.pop();
+      } else if (expression === 'else') {
+        if (stack.length === 1 || current().inElse) throw new Error('{{else}} must be inside a block');
+        current().inElse = true;
+      } else if (/^[@\w.]+$/.test(expression)) {
+        target().push({ type: 'var', name: expression });
+      } else {
+        throw new Error(`Unknown tag ${token}`);
+      }
+    });
+
+    if (stack.length > 1) {
+      throw new Error(`Missing {{/${current().type}}}`);
     }
+    return root.children;
+  }
+
+  renderSnippetNodes(nodes, scopes) {
+    return nodes.map(node => {
+      if (node.type === 'text') return node.value;
+
+      const value = this.lookupSnippetValue(node.name, scopes);
+      if (node.type === 'var') {
+        return value === undefined || value === null || value === false ? '' : this.escapeHtml(String(value));
+      }
+
+      if (node.type === 'each') {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return this.renderSnippetNodes(node.elseChildren, scopes);
+        return items.map((item, index) => this.renderSnippetNodes(node.children, [{
+          ...item,
+          '@index': index,
+          '@number': index + 1,
+          '@first': index === 0,
+          '@last': index === items.length - 1
+        }, ...scopes])).join('');
+      }
+
+      const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+      const show = node.type === 'if' ? truthy : !truthy;
+      return this.renderSnippetNodes(show ? node.children : node.elseChildren, scopes);
+    }).join('');
+  }
+
+  // Innermost scope first, so a link field shadows a top-level one; "a.b" walks into objects
+  lookupSnippetValue(name, scopes) {
+    const [head, ...rest] = name.split('.');
+    const scope = scopes.find(s => s && typeof s === 'object' && head in s);
+    if (!scope) return undefined;
+    return rest.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), scope[head]);
+  }
+
+  /* ----------------------------
+     export rows + formats (use processed links)
+     - every format is built from the same rows: buildExportRows() -> { columns, rows }
+     - exportColumns (profile setting) lists the chosen column ids in order
+     ---------------------------- */
+  getExportColumns(settings) {
+    const rewriteRules = this.getMediaRewriteRules(settings);
+    return [
+      { id: 'original_url', type: 'url', value: link => link.url },
+      { id: 'title', value: link => link.title || '' },
+      { id: 'slugified_filename_with_ext', value: link => link.targetPath || link.filenameWithExt || '' },
+      { id: 'slugified_filename_no_ext', value: link => (link.targetPath ? this.stripExtension(link.targetPath, link.extension) : link.filename) || '' },
+      { id: 'media_constant', value: link => this.getMediaPath(link, rewriteRules, settings.mediaPrefixXlsx) },
+      { id: 'media_constant_no_ext', value: link => this.getMediaPath(link, rewriteRules, settings.mediaPrefixXlsx, false) },
+      { id: 'link_text', value: link => link.title || '' },
+      { id: 'file_size_human', value: link => this.humanFileSize(this.getLinkSize(link)) },
+      { id: 'tooltip', value: link => link.tooltip || '' },
+      { id: 'extension', value: link => link.extension || '' },
+      { id: 'status', value: link => this.getLinkStatus(link) },
+      { id: 'is_duplicate', value: link => link.isDuplicate || 'no' },
+      { id: 'content_hash', value: link => link.contentHash || '' },
+      { id: 'duplicate_of', type: 'url', value: link => link.duplicateOf || '' },
+      { id: 'duplicate_reason', optional: true, value: link => (link.isDuplicate === 'yes' ? this.getDuplicateReasonText(link) || 'same URL' : '') },
+      { id: 'source_page', type: 'url', value: link => link.pageUrl || '' },
+      { id: 'also_found_on', value: link => (link.alsoFoundOn || []).join(' ') },
+      { id: 'frame_url', type: 'url', value: link => link.frameUrl || '' },
+      { id: 'selector_path', value: link => link.selectorPath || '' },
+      { id: 'link_source', value: link => link.source || '' },
+      { id: 'selector_used', value: link => link.selectorUsed || '' },
+      // Off until picked in the column chooser
+      { id: 'file_size_bytes', type: 'number', optional: true, value: link => this.getLinkSize(link) || null },
+      { id: 'size_source', optional: true, value: link => link.sizeSource || '' },
+      { id: 'page_title', optional: true, value: link => link.pageTitle || '' },
+      { id: 'element_html', optional: true, value: link => link.element || '' },
+      { id: 'http_status', type: 'number', optional: true, value: link => (link.validation ? link.validation.httpStatus : null) },
+      { id: 'final_url', type: 'url', optional: true, value: link => (link.validation ? link.validation.finalUrl : '') }
+    ];
+  }
+
+  getDefaultExportColumnIds() {
+    return this.getExportColumns({}).filter(column => !column.optional).map(column => column.id);
+  }
+
+  // Chosen columns in the chosen order; unknown ids (from older profiles) are dropped
+  getChosenExportColumns(settings) {
+    const columns = this.getExportColumns(settings);
+    const ids = (settings.exportColumns || '').split(',').map(id => id.trim()).filter(Boolean);
+    const chosen = ids.map(id => columns.find(column => column.id === id)).filter(Boolean);
+    return chosen.length > 0 ? chosen : columns.filter(column => !column.optional);
+  }
+
+  buildExportRows(links, settings) {
+    const columns = this.getChosenExportColumns(settings);
+    const rows = links.map(link => {
+      const row = {};
+      columns.forEach(column => {
+        row[column.id] = column.value(link);
+      });
+      return row;
+    });
+    return { columns, rows };
+  }
+
+  // build(rows, columns, links, settings): the column-based formats use rows, the others the links themselves
+  getExportFormats() {
+    return {
+      csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: (rows, columns) => this.createCsvFromRows(rows, columns) },
+      xlsx: { label: 'Excel (.xlsx)', extension: 'xlsx', mimeType: XlsxWriter.MIME_TYPE, binary: true, build: (rows, columns) => this.createXlsxFromRows(rows, columns) },
+      json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: (rows) => JSON.stringify(rows, null, 2) },
+      ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson', build: (rows) => rows.map(row => JSON.stringify(row)).join('\n') + '\n' },
+      html: { label: 'HTML snippet', extension: 'html', mimeType: 'text/html', filename: 'document-links.html', build: (rows, columns, links, settings) => this.createHtmlSnippetFromLinks(links, settings) },
+      markdownTable: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown', build: (rows, columns, links) => this.createMarkdownTable(links) },
+      markdownList: { label: 'Markdown list', extension: 'md', mimeType: 'text/markdown', build: (rows, columns, links) => this.createMarkdownList(links) },
+      urls: { label: 'URL list', extension: 'txt', mimeType: 'text/plain', filename: 'document-urls.txt', build: (rows, columns, links) => this.createUrlList(links) },
+      wget: { label: 'wget script', extension: 'sh', mimeType: 'text/x-sh', filename: 'download-documents-wget.sh', build: (rows, columns, links) => this.createDownloadScript(links, 'wget') },
+      curl: { label: 'curl script', extension: 'sh', mimeType: 'text/x-sh', filename: 'download-documents-curl.sh', build: (rows, columns, links) => this.createDownloadScript(links, 'curl') }
+    };
+  }
+
+  getExportFormat(id) {
+    const formats = this.getExportFormats();
+    return formats[id] || formats.csv;
+  }
+
+  // -> { content: string | Blob, filename, mimeType, format }
+  async createExportFile(links, settings) {
+    const format = this.getExportFormat(settings.exportFormat);
+    const { columns, rows } = this.buildExportRows(links, settings);
+
+    return {
+      content: await format.build(rows, columns, links, settings),
+      filename: format.filename || `document-links-export.${format.extension}`,
+      mimeType: format.mimeType,
+      format: format
+    };
   }
 
   /* ----------------------------
-     CSV & HTML creators (use processed links)
+     text exports: Markdown, URL list, download scripts
+     - duplicate rows are left out of URL lists and scripts, which act on each URL once
      ---------------------------- */
+  escapeMarkdown(text) {
+    return String(text || '')
+      .replace(/\s+/g, ' ')
+      .replace(/([\\`*_\[\]|<>])/g, '\\$1')
+      .trim();
+  }
+
+  // Spaces and parentheses would end a Markdown link target early
+  markdownUrl(url) {
+    return String(url || '').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+
+  createMarkdownTable(links) {
+    const lines = [
+      '| Title | Link | Size |',
+      '| --- | --- | --- |',
+      ...links.map(link => {
+        const size = this.getLinkSize(link);
+        return `| ${this.escapeMarkdown(link.title || link.filenameWithExt)} | [${this.escapeMarkdown(link.filenameWithExt || link.url)}](${this.markdownUrl(link.url)}) | ${size ? this.humanFileSize(size) : ''} |`;
+      })
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  createMarkdownList(links) {
+    return links.map(link => {
+      const size = this.getLinkSize(link);
+      const details = [(link.extension || '').toUpperCase(), size ? this.humanFileSize(size) : ''].filter(Boolean).join(', ');
+      return `- [${this.escapeMarkdown(link.title || link.filenameWithExt || link.url)}](${this.markdownUrl(link.url)})${details ? ` (${details})` : ''}`;
+    }).join('\n') + '\n';
+  }
+
+  createUrlList(links) {
+    return this.getUniqueFiles(links).map(link => link.url).join('\n') + '\n';
+  }
+
+  shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  // One command per unique URL, saved under the same path the Download button would use
+  createDownloadScript(links, tool) {
+    const unique = this.getUniqueFiles(links);
+    const lines = [
+      '#!/bin/sh',
+      `# ${unique.length} documents from Document Link Extractor, ${new Date().toISOString().slice(0, 10)}`,
+      ''
+    ];
+    const createdDirs = new Set();
+
+    unique.forEach(link => {
+      const path = link.targetPath || link.filenameWithExt || 'download';
+      if (tool === 'curl') {
+        lines.push(`curl -fL --create-dirs -o ${this.shellQuote(path)} ${this.shellQuote(link.url)}`);
+        return;
+      }
+      const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+      if (dir && !createdDirs.has(dir)) {
+        createdDirs.add(dir);
+        lines.push(`mkdir -p ${this.shellQuote(dir)}`);
+      }
+      lines.push(`wget -nv -O ${this.shellQuote(path)} ${this.shellQuote(link.url)}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
   escapeCsvCell(value) {
     if (value === null || value === undefined) return '';
     const str = String(value);
-    if (/[",\n]/.test(str)) {
+    if (/[",\r\n]/.test(str)) {
       return `"${str.replace(/"/g, '""')}"`;
     }
     return str;
   }
 
-  createExcelDataFromLinks(links, settings) {
-    const headers = [
-      'original_url', 'title', 'slugified_filename_with_ext', 'slugified_filename_no_ext', 'media_constant',
-      'media_constant_no_ext', 'link_text', 'file_size_human', 'tooltip', 'extension', 'status', 'is_duplicate'
+  // The BOM makes Excel read the file as UTF-8 instead of the system code page
+  createCsvFromRows(rows, columns) {
+    const lines = [
+      columns.map(column => this.escapeCsvCell(column.id)).join(','),
+      ...rows.map(row => columns.map(column => this.escapeCsvCell(row[column.id])).join(','))
+    ];
+    return '\uFEFF' + lines.join('\n');
+  }
+
+  createXlsxFromRows(rows, columns) {
+    return new XlsxWriter('Links').build(
+      columns.map(column => ({ header: column.id, type: column.type || 'string' })),
+      rows.map(row => columns.map(column => row[column.id]))
+    );
+  }
+
+  /* ----------------------------
+     export column chooser
+     - the hidden exportColumns input holds the profile value; the list below edits it
+     ---------------------------- */
+  renderExportColumns() {
+    const columns = this.getExportColumns({});
+    const chosenIds = this.getChosenExportColumns({ exportColumns: this.exportColumnsInput.value }).map(column => column.id);
+    const ordered = [
+      ...chosenIds.map(id => columns.find(column => column.id === id)),
+      ...columns.filter(column => !chosenIds.includes(column.id))
     ];
 
-    const rows = links.map(link => [
-      this.escapeCsvCell(link.url),
-      this.escapeCsvCell(link.title || ''),
-      this.escapeCsvCell(link.filenameWithExt || ''),
-      this.escapeCsvCell(link.filename || ''),
-      this.escapeCsvCell(`${settings.mediaPrefixXlsx}/${link.filenameWithExt || ''}`),
-      this.escapeCsvCell(`${settings.mediaPrefixXlsx}/${link.filename || ''}`),
-      this.escapeCsvCell(link.title || ''),
-      this.escapeCsvCell(this.humanFileSize(link.estimatedSize)),
-      this.escapeCsvCell(link.tooltip || ''),
-      this.escapeCsvCell(link.extension || ''),
-      this.escapeCsvCell('extracted'),
-      this.escapeCsvCell(link.isDuplicate || 'no')
-    ]);
+    this.exportColumnsDiv.innerHTML = ordered.map((column, index) => `
+      <div class="column-item">
+        <label>
+          <input type="checkbox" data-column="${column.id}" ${chosenIds.includes(column.id) ? 'checked' : ''}>
+          ${column.id}${column.type === 'number' ? ' (number)' : ''}
+        </label>
+        <button type="button" class="sort-btn" data-move="${column.id}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+        <button type="button" class="sort-btn" data-move="${column.id}" data-offset="1" title="Move down" ${index === ordered.length - 1 ? 'disabled' : ''}>▼</button>
+      </div>
+    `).join('');
+  }
+
+  // Reads the list back in on-screen order, optionally moving one column first
+  updateExportColumns(moveId = null, offset = 0) {
+    const items = Array.from(this.exportColumnsDiv.querySelectorAll('input[data-column]'));
+    if (moveId) {
+      const from = items.findIndex(input => input.dataset.column === moveId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= items.length) return;
+      items.splice(to, 0, items.splice(from, 1)[0]);
+    }
+
+    const chosen = items.filter(input => input.checked).map(input => input.dataset.column);
+    if (chosen.length === 0) {
+      // An empty export is never what anyone wants; put the last box back
+      this.renderExportColumns();
+      return;
+    }
 
-    return [headers.map(h => this.escapeCsvCell(h)).join(','), ...rows.map(r => r.join(','))].join('\n');
+    this.exportColumnsInput.value = chosen.join(',');
+    this.scheduleSave();
+    this.renderExportColumns();
   }
 
+  // Throws if the template is malformed; exportData reports it
   createHtmlSnippetFromLinks(links, settings) {
-    const linksHtml = links
-      .map(link => {
-        const ext = (link.extension || '').toUpperCase();
-        const size = this.humanFileSize(link.estimatedSize);
-        const href = `${settings.mediaPrefixHtml}/${link.filenameWithExt || ''}`;        
-        const innerContent = settings.innerContent && link.title
-          ? `<span class="icon icon-arrow-in-down"></span> ${this.escapeHtml(link.title)}`
-          : '<span class="icon icon-arrow-in-down"></span>';
-
-        return `<a href="${href}"
-   title="${ext}, ${size} opens in a new window"
-   target="_blank"
-   class="button-label align-items-center d-inline-flex text-decoration-none text-primary-1 pt-sm-2 pb-sm-2 ps-sm-3 pe-sm-3">
-   ${innerContent}
-</a>`;
-      }).join('\n\n');
-
-    return `<!-- Generated by Document Link Extractor Chrome Extension -->\n<!-- Total: ${links.length} links -->\n\n${linksHtml}`;
+    const template = this.getSnippetTemplate(settings.snippetTemplate);
+    return this.renderSnippetTemplate(template.body, this.buildSnippetContext(links, settings));
   }
 
   escapeHtml(text) {
@@ -456,34 +3362,76 @@ class DocumentExtractor {
 
   // exportData uses processedLinks (keeps every row)
   async exportData() {
-    if (!this.extractedLinks || this.extractedLinks.length === 0) return;
+    const selectedLinks = this.getSelectedLinks();
+    if (selectedLinks.length === 0) return;
 
     try {
       const settings = this.getSettings();
+      const exportFile = await this.createExportFile(this.processLinksForExport(selectedLinks, settings), settings);
+      this.downloadDataFile(exportFile.content, exportFile.filename, exportFile.mimeType);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      alert(`Export error: ${error.message}`);
+    }
+  }
 
-      // process (resolve filenames + isDuplicate flags) but DO NOT drop duplicate rows
-      const processedLinks = this.handleDuplicateFilenames([...this.extractedLinks]);
-
-      const excelData = this.createExcelDataFromLinks(processedLinks, settings);
-      const htmlSnippet = this.createHtmlSnippetFromLinks(processedLinks, settings);
+  async copyExport() {
+    const selectedLinks = this.getSelectedLinks();
+    if (selectedLinks.length === 0) return;
 
-      this.downloadDataFile(excelData, 'document-links-export.csv', 'text/csv');
-      this.downloadDataFile(htmlSnippet, 'document-links.html', 'text/html');
+    try {
+      const settings = this.getSettings();
+      const format = this.getExportFormat(settings.exportFormat);
+      if (format.binary) {
+        throw new Error(`${format.label} can't be copied as text; pick another format or use Export`);
+      }
 
+      const exportFile = await this.createExportFile(this.processLinksForExport(selectedLinks, settings), settings);
+      // The CSV byte-order mark is for Excel, not for whatever the text is pasted into
+      await navigator.clipboard.writeText(exportFile.content.replace(/^\uFEFF/, ''));
+      this.showStatus(`Copied ${selectedLinks.length} links as ${format.label}.`);
     } catch (error) {
-      console.error('Error exporting data:', error);
-      alert(`Export error: ${error.message}`);
+      console.error('Error copying export:', error);
+      this.showStatus(`Copy error: ${error.message}`);
     }
+    setTimeout(() => {
+      this.hideStatus();
+      this.resultsDiv.classList.remove('hidden');
+    }, 2500);
+  }
+
+  // process (resolve filenames + isDuplicate flags) but DO NOT drop duplicate rows.
+  // Worked out over every result in extraction order, on copies: the sort order and the
+  // selection never change which row is canonical or which file gets a suffix, and the
+  // list keeps its own flags. Returns the copies of `links`, in their order
+  processLinksForExport(links, settings) {
+    const processed = this.applyPathTemplate(
+      this.handleDuplicateFilenames(this.extractedLinks.map(link => ({ ...link }))), settings);
+    const byId = new Map(processed.map(link => [link.uniqueId, link]));
+    return links.map(link => byId.get(link.uniqueId)).filter(Boolean);
+  }
+
+  // One row per file (see getFileKey); the first row stands in for its duplicates, even when
+  // the row they duplicate isn't selected
+  getUniqueFiles(links) {
+    const seen = new Set();
+    return links.filter(link => {
+      const key = this.getFileKey(link);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
   }
 
+  // saveAs follows the "Ask where to save" toggle so batch exports don't stack up Save dialogs
   downloadDataFile(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     
     chrome.downloads.download({
       url: url,
       filename: filename,
-      saveAs: true
+      saveAs: this.exportSaveAsInput.checked
     });
   }
 
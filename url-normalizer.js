@@ -0,0 +1,124 @@
+// URL normalization shared by the popup and the service worker
+// - links found on different pages (or on different checks of one page) compare equal
+//   when their normalized URLs do
+// - the basic rules always apply; the optional ones come from the profile (see fromSettings)
+//   and are reported by normalizeWithRules so the results can say why two URLs merged
+class UrlNormalizer {
+  // options: { stripParams, keepParams: [wildcard names], hostAliases: { alias: host },
+  //            ignoreScheme, ignoreWww, stripIndex, foldPathCase }
+  constructor(options = {}) {
+    this.stripParams = (options.stripParams || []).map(pattern => this.compileWildcard(pattern));
+    this.keepParams = (options.keepParams || []).map(pattern => this.compileWildcard(pattern));
+    this.hostAliases = options.hostAliases || {};
+    this.ignoreScheme = !!options.ignoreScheme;
+    this.ignoreWww = !!options.ignoreWww;
+    this.stripIndex = !!options.stripIndex;
+    this.foldPathCase = !!options.foldPathCase;
+  }
+
+  // Profile settings -> normalizer; unset settings leave the basic rules only
+  static fromSettings(settings = {}) {
+    const list = (value) => String(value || '').split(/[\s,]+/).filter(Boolean);
+    const hostAliases = {};
+    String(settings.urlHostAliases || '').split('\n').forEach(line => {
+      const [alias, host] = line.split('=').map(part => (part || '').trim().toLowerCase());
+      if (alias && host) hostAliases[alias] = host;
+    });
+
+    return new UrlNormalizer({
+      stripParams: list(settings.urlStripParams),
+      keepParams: list(settings.urlKeepParams),
+      hostAliases: hostAliases,
+      ignoreScheme: settings.urlIgnoreScheme,
+      ignoreWww: settings.urlIgnoreWww,
+      stripIndex: settings.urlStripIndex,
+      foldPathCase: settings.urlFoldPathCase
+    });
+  }
+
+  // Create a canonical URL string used for comparisons (removes hash, normalizes host case, strips default ports)
+  normalize(rawUrl, pageUrl = '') {
+    return this.normalizeWithRules(rawUrl, pageUrl).key;
+  }
+
+  // { key, rules }: rules lists the optional rules that changed this URL
+  normalizeWithRules(rawUrl, pageUrl = '') {
+    const rules = [];
+    try {
+      if (!rawUrl) return { key: '', rules: rules };
+      const u = new URL(rawUrl, pageUrl || undefined);
+      let protocol = u.protocol.toLowerCase();
+      let hostname = u.hostname.toLowerCase();
+      // remove default ports
+      let port = u.port ? `:${u.port}` : '';
+      if ((protocol === 'http:' && u.port === '80') || (protocol === 'https:' && u.port === '443')) port = '';
+
+      if (this.ignoreScheme && protocol === 'http:') {
+        protocol = 'https:';
+        rules.push('http = https');
+      }
+      if (this.ignoreWww && hostname.startsWith('www.')) {
+        hostname = hostname.slice(4);
+        rules.push('www.');
+      }
+      if (this.hostAliases[hostname]) {
+        rules.push(`${hostname} = ${this.hostAliases[hostname]}`);
+        hostname = this.hostAliases[hostname];
+      }
+
+      // normalize pathname: collapse multiple slashes, strip trailing slash (but keep root '/')
+      let pathname = (u.pathname || '/').replace(/\/{2,}/g, '/');
+      if (this.stripIndex && /\/index\.html?$/i.test(pathname)) {
+        pathname = pathname.replace(/index\.html?$/i, '');
+        rules.push('index.html');
+      }
+      if (pathname !== '/' ) pathname = pathname.replace(/\/$/, '');
+      if (this.foldPathCase && pathname !== pathname.toLowerCase()) {
+        pathname = pathname.toLowerCase();
+        rules.push('path case');
+      }
+
+      // keep search (query) as-is unless parameter rules say otherwise — it differentiates resources
+      const search = this.normalizeQuery(u.search || '', rules);
+      return { key: `${protocol}//${hostname}${port}${pathname}${search}`, rules: rules };
+    } catch (e) {
+      // fallback: return raw string trimmed
+      return { key: String(rawUrl || '').trim(), rules: rules };
+    }
+  }
+
+  // Drops stripped parameters, and everything but the kept ones when a keep list is set.
+  // Surviving parameters keep their order and encoding
+  normalizeQuery(search, rules) {
+    if (!search || (this.stripParams.length === 0 && this.keepParams.length === 0)) return search;
+
+    const dropped = [];
+    const kept = search.slice(1).split('&').filter(part => {
+      if (!part) return false;
+      const name = this.decodeParamName(part.split('=')[0]);
+      const matches = (patterns) => patterns.some(pattern => pattern.test(name));
+      if ((this.keepParams.length > 0 && !matches(this.keepParams)) || matches(this.stripParams)) {
+        if (!dropped.includes(name)) dropped.push(name);
+        return false;
+      }
+      return true;
+    });
+
+    dropped.forEach(name => rules.push(`?${name} ignored`));
+    return kept.length > 0 ? `?${kept.join('&')}` : '';
+  }
+
+  decodeParamName(name) {
+    try {
+      return decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (e) {
+      return name;
+    }
+  }
+
+  // "utm_*" -> /^utm_.*$/i; parameter names are matched case-insensitively
+  compileWildcard(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+  }
+}
@@ -0,0 +1,180 @@
+// Minimal XLSX writer for Document Link Extractor (one worksheet, built on ZipWriter)
+// - inline strings, so no shared string table to keep in sync
+// - header row in bold and frozen
+// - "number" columns are real numbers, "url" columns become clickable hyperlinks
+class XlsxWriter {
+  constructor(sheetName = 'Links') {
+    // Excel rejects sheet names over 31 characters or containing []:*?/\
+    this.sheetName = sheetName.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+  }
+
+  // columns: [{ header, type: 'string' | 'number' | 'url' }]; rows: arrays of values in column order
+  async build(columns, rows) {
+    const hyperlinks = [];
+    const rowsXml = [
+      this.buildRow(1, columns.map(column => ({ value: column.header, style: XlsxWriter.STYLE_HEADER })))
+    ];
+
+    rows.forEach((values, rowIndex) => {
+      const rowNumber = rowIndex + 2;
+      const cells = columns.map((column, columnIndex) => {
+        const value = values[columnIndex];
+        if (column.type === 'number' && typeof value === 'number' && isFinite(value)) {
+          return { value: value, number: true, style: XlsxWriter.STYLE_NUMBER };
+        }
+        if (column.type === 'url' && this.isLinkable(value) && hyperlinks.length < XlsxWriter.MAX_HYPERLINKS) {
+          hyperlinks.push({ ref: `${this.columnName(columnIndex)}${rowNumber}`, url: value });
+          return { value: value, style: XlsxWriter.STYLE_LINK };
+        }
+        return { value: value };
+      });
+      rowsXml.push(this.buildRow(rowNumber, cells));
+    });
+
+    const zip = new ZipWriter();
+    await zip.addFile('[Content_Types].xml', this.buildContentTypes());
+    await zip.addFile('_rels/.rels', this.buildRootRels());
+    await zip.addFile('xl/workbook.xml', this.buildWorkbook());
+    await zip.addFile('xl/_rels/workbook.xml.rels', this.buildWorkbookRels());
+    await zip.addFile('xl/styles.xml', this.buildStyles());
+    await zip.addFile('xl/worksheets/sheet1.xml', this.buildSheet(columns, rowsXml, hyperlinks), { compress: true });
+    if (hyperlinks.length > 0) {
+      await zip.addFile('xl/worksheets/_rels/sheet1.xml.rels', this.buildSheetRels(hyperlinks), { compress: true });
+    }
+    return zip.finish(XlsxWriter.MIME_TYPE);
+  }
+
+  buildRow(rowNumber, cells) {
+    const cellsXml = cells.map((cell, columnIndex) => {
+      if (cell.value === null || cell.value === undefined || cell.value === '') return '';
+      const ref = `${this.columnName(columnIndex)}${rowNumber}`;
+      const style = cell.style ? ` s="${cell.style}"` : '';
+      if (cell.number) {
+        return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+      }
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(cell.value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowNumber}">${cellsXml}</row>`;
+  }
+
+  buildSheet(columns, rowsXml, hyperlinks) {
+    const widths = columns.map((column, index) => {
+      const width = column.type === 'url' ? 50 : Math.max(12, Math.min(40, String(column.header).length + 4));
+      return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+    }).join('');
+
+    const hyperlinksXml = hyperlinks.length > 0
+      ? `<hyperlinks>${hyperlinks.map((link, index) => `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`).join('')}</hyperlinks>`
+      : '';
+
+    return `${XlsxWriter.XML_HEADER}
+<worksheet xmlns="${XlsxWriter.NS_MAIN}" xmlns:r="${XlsxWriter.NS_REL}">` +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+      '</sheetView></sheetViews>' +
+      `<cols>${widths}</cols>` +
+      `<sheetData>${rowsXml.join('')}</sheetData>` +
+      hyperlinksXml +
+      '</worksheet>';
+  }
+
+  buildSheetRels(hyperlinks) {
+    const relationships = hyperlinks.map((link, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${XlsxWriter.NS_REL}/hyperlink" Target="${this.escapeXml(link.url)}" TargetMode="External"/>`
+    ).join('');
+    return `${XlsxWriter.XML_HEADER}
+<Relationships xmlns="${XlsxWriter.NS_PACKAGE_REL}">${relationships}</Relationships>`;
+  }
+
+  buildContentTypes() {
+    return `${XlsxWriter.XML_HEADER}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>';
+  }
+
+  buildRootRels() {
+    return `${XlsxWriter.XML_HEADER}
+<Relationships xmlns="${XlsxWriter.NS_PACKAGE_REL}">` +
+      `<Relationship Id="rId1" Type="${XlsxWriter.NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>';
+  }
+
+  buildWorkbook() {
+    return `${XlsxWriter.XML_HEADER}
+<workbook xmlns="${XlsxWriter.NS_MAIN}" xmlns:r="${XlsxWriter.NS_REL}">` +
+      `<sheets><sheet name="${this.escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+  }
+
+  buildWorkbookRels() {
+    return `${XlsxWriter.XML_HEADER}
+<Relationships xmlns="${XlsxWriter.NS_PACKAGE_REL}">` +
+      `<Relationship Id="rId1" Type="${XlsxWriter.NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${XlsxWriter.NS_REL}/styles" Target="styles.xml"/>` +
+      '</Relationships>';
+  }
+
+  // cellXfs order matches the STYLE_* constants: default, header, link, number
+  buildStyles() {
+    return `${XlsxWriter.XML_HEADER}
+<styleSheet xmlns="${XlsxWriter.NS_MAIN}">` +
+      '<fonts count="3">' +
+      '<font><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+      '</fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  // Excel refuses hyperlinks longer than 2079 characters
+  isLinkable(value) {
+    return typeof value === 'string' && /^(https?|ftp):\/\//i.test(value) && value.length <= 2079;
+  }
+
+  // 0 -> A, 25 -> Z, 26 -> AA
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      // Control characters are not allowed in XML 1.0 at all, escaped or not
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .slice(0, XlsxWriter.MAX_CELL_LENGTH)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+XlsxWriter.MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+XlsxWriter.XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+XlsxWriter.NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+XlsxWriter.NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+XlsxWriter.NS_PACKAGE_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+XlsxWriter.STYLE_HEADER = 1;
+XlsxWriter.STYLE_LINK = 2;
+XlsxWriter.STYLE_NUMBER = 3;
+XlsxWriter.MAX_HYPERLINKS = 65530;
+XlsxWriter.MAX_CELL_LENGTH = 32767;
@@ -0,0 +1,192 @@
+// Minimal ZIP writer for Document Link Extractor (no external dependencies)
+// - stored or deflated entries (deflate via the built-in CompressionStream)
+// - UTF-8 entry names
+// - output is assembled from Blob chunks so Chrome can page large archives to disk
+// - streamed entries (addStream) never hold a whole file in memory
+// - no ZIP64: the archive and each entry are limited to 4 GB
+class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  // data: string | ArrayBuffer | Uint8Array
+  async addFile(name, data, options = {}) {
+    const bytes = this.toBytes(data);
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = ZipWriter.crc32(bytes);
+
+    let method = 0;
+    let payload = bytes;
+    if (options.compress && bytes.length > 0) {
+      const deflated = await this.deflateRaw(bytes);
+      // Already-compressed content can grow; keep whichever is smaller
+      if (deflated && deflated.length < bytes.length) {
+        method = 8;
+        payload = deflated;
+      }
+    }
+
+    this.writeEntry(nameBytes, method, crc, bytes.length, payload.length, [payload], options.date);
+    return { crc: crc, size: bytes.length, compressedSize: payload.length };
+  }
+
+  // stream: ReadableStream of Uint8Array chunks, e.g. a fetch Response body
+  // options.onChunk(bytes) sees the uncompressed data as it passes (for hashing)
+  async addStream(name, stream, options = {}) {
+    const nameBytes = new TextEncoder().encode(name);
+    let crc = 0;
+    let size = 0;
+
+    const source = stream.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        crc = ZipWriter.crc32(chunk, crc);
+        size += chunk.length;
+        if (options.onChunk) options.onChunk(chunk);
+        controller.enqueue(chunk);
+      }
+    }));
+    // Sizes are only known at the end, so there's no comparing against the stored size here
+    const method = options.compress && typeof CompressionStream !== 'undefined' ? 8 : 0;
+    const output = method === 8 ? source.pipeThrough(new CompressionStream('deflate-raw')) : source;
+
+    // Chunks are folded into Blobs as they arrive so Chrome can page them out
+    const blobs = [];
+    let pending = [];
+    let pendingSize = 0;
+    let compressedSize = 0;
+    const reader = output.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      pending.push(value);
+      pendingSize += value.length;
+      compressedSize += value.length;
+      if (pendingSize >= ZipWriter.BLOB_CHUNK_SIZE) {
+        blobs.push(new Blob(pending));
+        pending = [];
+        pendingSize = 0;
+      }
+    }
+    blobs.push(new Blob(pending));
+
+    this.writeEntry(nameBytes, method, crc, size, compressedSize, blobs, options.date);
+    return { crc: crc, size: size, compressedSize: compressedSize };
+  }
+
+  writeEntry(nameBytes, method, crc, size, compressedSize, payloadParts, date) {
+    if (size > 0xFFFFFFFF || this.offset + 30 + nameBytes.length + compressedSize > 0xFFFFFFFF) {
+      throw new Error('ZIP archive would exceed 4 GB');
+    }
+
+    const { time, date: dosDate } = this.toDosDateTime(date || new Date());
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);  // local file header signature
+    header.setUint16(4, 20, true);          // version needed to extract
+    header.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, compressedSize, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);          // extra field length
+
+    this.parts.push(new Blob([header, nameBytes, ...payloadParts]));
+    this.entries.push({
+      nameBytes: nameBytes,
+      method: method,
+      time: time,
+      date: dosDate,
+      crc: crc,
+      compressedSize: compressedSize,
+      size: size,
+      offset: this.offset
+    });
+    this.offset += 30 + nameBytes.length + compressedSize;
+  }
+
+  finish(mimeType = 'application/zip') {
+    const directoryOffset = this.offset;
+    let directorySize = 0;
+
+    this.entries.forEach(entry => {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true); // central directory signature
+      record.setUint16(4, 20, true);         // version made by
+      record.setUint16(6, 20, true);         // version needed to extract
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, entry.method, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.compressedSize, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      // extra length, comment length, disk number, internal/external attributes: all zero
+      record.setUint32(42, entry.offset, true);
+
+      this.parts.push(new Blob([record, entry.nameBytes]));
+      directorySize += 46 + entry.nameBytes.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);      // end of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryOffset, true);
+    this.parts.push(new Blob([end]));
+
+    return new Blob(this.parts, { type: mimeType });
+  }
+
+  toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    return new Uint8Array(data);
+  }
+
+  async deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      console.warn('Deflate failed, storing entry uncompressed:', error);
+      return null;
+    }
+  }
+
+  toDosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  // crc: the running value when the data comes in chunks
+  static crc32(bytes, crc = 0) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    crc = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+ZipWriter.BLOB_CHUNK_SIZE = 4 * 1024 * 1024;